@@ -0,0 +1,84 @@
+// background/budget-rollover.js — Carries unused window minutes into the next occurrence
+import {
+  getGroups, getTrackingEntry, formatDateStr, parseDateStr,
+  getRolloverEntry, setRolloverEntry,
+  getRolloverSettledThrough, setRolloverSettledThrough,
+} from '../shared/storage.js';
+import { computeRolloverMinutes, sanitizeRollover } from '../shared/group-manager.js';
+import { isAllowlistGroup, isOvernightBlock, getTimeBlocksForDate } from './rule-engine.js';
+
+const MAX_CATCH_UP_DAYS = 7;
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function occursOn(group, block, date) {
+  return getTimeBlocksForDate(group, date).includes(block);
+}
+
+// The next date after `fromDate` on which the block is scheduled, within a
+// week. Days a schedule override takes over are skipped.
+function nextOccurrenceDate(group, block, fromDate) {
+  for (let offset = 1; offset <= 7; offset++) {
+    const d = addDays(fromDate, offset);
+    if (occursOn(group, block, d)) return d;
+  }
+  return null;
+}
+
+async function settleOccurrence(group, block, sourceDate) {
+  if (!occursOn(group, block, sourceDate)) return;
+  const targetDate = nextOccurrenceDate(group, block, sourceDate);
+  if (!targetDate) return;
+
+  const sourceDateStr = formatDateStr(sourceDate);
+  const tracking = await getTrackingEntry(group.id, sourceDateStr, block.id);
+  const carriedIn = (await getRolloverEntry(group.id, sourceDateStr, block.id)).minutes;
+  const unusedMinutes = Math.max(0, block.allowedMinutes + carriedIn - tracking.usedSeconds / 60);
+  const minutes = computeRolloverMinutes(block.rollover, unusedMinutes);
+  if (minutes <= 0) return;
+
+  await setRolloverEntry(group.id, formatDateStr(targetDate), block.id, {
+    minutes,
+    fromDate: sourceDateStr,
+  });
+}
+
+// Settles every window occurrence that ended since the last run. Run after
+// midnight: the day that just ended closes its regular windows, and the day
+// before closes its overnight windows (they ran into this morning). An
+// overnight window's credit can therefore land while its next occurrence is
+// already open; it simply raises that occurrence's budget mid-window.
+//
+// Idempotent — the ledger is overwritten, not added to, and the last settled
+// day is remembered so a restart on the same day does nothing.
+export async function settleRollovers(now = new Date()) {
+  const yesterday = addDays(parseDateStr(formatDateStr(now)), -1);
+  const settledThrough = await getRolloverSettledThrough();
+
+  // First run: there is no record of earlier windows to settle.
+  if (!settledThrough) {
+    await setRolloverSettledThrough(formatDateStr(yesterday));
+    return;
+  }
+
+  let day = addDays(parseDateStr(settledThrough), 1);
+  const earliest = addDays(yesterday, -(MAX_CATCH_UP_DAYS - 1));
+  if (day < earliest) day = earliest;
+  if (day > yesterday) return;
+
+  const groups = (await getGroups()).filter((g) => !isAllowlistGroup(g));
+  for (; day <= yesterday; day = addDays(day, 1)) {
+    for (const group of groups) {
+      for (const block of group.allowedTimeBlocks) {
+        if (!sanitizeRollover(block.rollover)) continue;
+        const sourceDate = isOvernightBlock(block) ? addDays(day, -1) : day;
+        await settleOccurrence(group, block, sourceDate);
+      }
+    }
+  }
+  await setRolloverSettledThrough(formatDateStr(yesterday));
+}
@@ -0,0 +1,126 @@
+// background/focus-session.js — On-demand focus sessions and Pomodoro cycles
+import { getFocusSession, setFocusSession, clearFocusSession } from '../shared/storage.js';
+
+// A session is a run of phases started by hand from the popup:
+//   plain    — one 'work' phase of the chosen length
+//   Pomodoro — `cycles` work phases with a short break between them, and a
+//              long break instead after every cyclesBeforeLongBreak-th one
+// During work phases the chosen groups block as if they had no time windows;
+// breaks hand them back to their own schedule. The session lives in storage
+// and the end of its current phase in an alarm, so both survive the service
+// worker being stopped.
+
+export const ALARM_FOCUS_PHASE = 'focus-session-phase';
+export const DEFAULT_POMODORO = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  cyclesBeforeLongBreak: 4,
+  cycles: 4,
+};
+const MAX_PHASE_MINUTES = 8 * 60;
+const MAX_CYCLES = 12;
+
+function clampMinutes(value, fallback, max = MAX_PHASE_MINUTES) {
+  const minutes = Math.floor(Number(value));
+  if (!Number.isFinite(minutes) || minutes <= 0) return fallback;
+  return Math.min(minutes, max);
+}
+
+export function sanitizePomodoro(value) {
+  if (!value) return null;
+  return {
+    workMinutes: clampMinutes(value.workMinutes, DEFAULT_POMODORO.workMinutes),
+    shortBreakMinutes: clampMinutes(value.shortBreakMinutes, DEFAULT_POMODORO.shortBreakMinutes),
+    longBreakMinutes: clampMinutes(value.longBreakMinutes, DEFAULT_POMODORO.longBreakMinutes),
+    cyclesBeforeLongBreak: clampMinutes(value.cyclesBeforeLongBreak, DEFAULT_POMODORO.cyclesBeforeLongBreak, MAX_CYCLES),
+    cycles: clampMinutes(value.cycles, DEFAULT_POMODORO.cycles, MAX_CYCLES),
+  };
+}
+
+export function isFocusBlocking(session, groupId, now = Date.now()) {
+  return !!session &&
+    session.phase === 'work' &&
+    now < session.phaseEndsAt &&
+    session.groupIds.includes(groupId);
+}
+
+// The phase after the current one, timed from when the current one ends, or
+// null when the session is over.
+function nextPhase(session) {
+  const { pomodoro } = session;
+  if (!pomodoro) return null;
+  if (session.phase === 'work') {
+    if (session.cycle >= pomodoro.cycles) return null;
+    const longBreak = session.cycle % pomodoro.cyclesBeforeLongBreak === 0;
+    const minutes = longBreak ? pomodoro.longBreakMinutes : pomodoro.shortBreakMinutes;
+    return {
+      ...session,
+      phase: longBreak ? 'long-break' : 'short-break',
+      phaseEndsAt: session.phaseEndsAt + minutes * 60 * 1000,
+    };
+  }
+  return {
+    ...session,
+    phase: 'work',
+    cycle: session.cycle + 1,
+    phaseEndsAt: session.phaseEndsAt + pomodoro.workMinutes * 60 * 1000,
+  };
+}
+
+export function getFocusSessionEnd(session) {
+  let last = session;
+  for (let next = nextPhase(session); next; next = nextPhase(next)) last = next;
+  return last.phaseEndsAt;
+}
+
+async function scheduleFocusAlarm(session) {
+  await chrome.alarms.clear(ALARM_FOCUS_PHASE);
+  if (session) await chrome.alarms.create(ALARM_FOCUS_PHASE, { when: session.phaseEndsAt });
+}
+
+// options: { groupIds, minutes, pomodoro } — minutes is ignored for Pomodoro
+// sessions, whose length follows from their cycles.
+export async function startFocusSession({ groupIds, minutes, pomodoro }, now = Date.now()) {
+  const ids = Array.isArray(groupIds) ? groupIds.filter(id => typeof id === 'string') : [];
+  if (ids.length === 0) return { ok: false, error: 'Choose at least one group.' };
+
+  const cycles = sanitizePomodoro(pomodoro);
+  const workMinutes = cycles ? cycles.workMinutes : clampMinutes(minutes, null);
+  if (!workMinutes) return { ok: false, error: 'Choose how long to focus.' };
+
+  const session = {
+    groupIds: ids,
+    startedAt: now,
+    phase: 'work',
+    phaseEndsAt: now + workMinutes * 60 * 1000,
+    cycle: 1,
+    pomodoro: cycles,
+  };
+  await setFocusSession(session);
+  await scheduleFocusAlarm(session);
+  return { ok: true, session };
+}
+
+export async function stopFocusSession() {
+  await clearFocusSession();
+  await chrome.alarms.clear(ALARM_FOCUS_PHASE);
+}
+
+// Moves the stored session past every phase that has ended — several, if the
+// browser was closed meanwhile — and re-arms the alarm. Returns the session,
+// or null once it's over.
+export async function advanceFocusSession(now = Date.now()) {
+  let session = await getFocusSession();
+  while (session && session.phaseEndsAt <= now) {
+    session = nextPhase(session);
+  }
+
+  if (session) {
+    await setFocusSession(session);
+  } else {
+    await clearFocusSession();
+  }
+  await scheduleFocusAlarm(session);
+  return session;
+}
@@ -8,18 +8,22 @@
 //   default → red   → white bar (brand mark; shown when nothing is active)
 //   timer   → green → minute count as number ("20", "14", "5")
 //   urgent  → amber → second count as number ("45", "12")
+//   visits  → blue  → visits left as number ("3", "0")
 //   blocked → red   → white ×
 //   paused  → gray  → two white pause bars
+//   focus   → indigo → white ring around a dot (focus session work phase)
 //
-// Because green=minutes and amber=seconds, we drop the "m"/"s" suffix — the color
-// communicates the unit, and each digit gets ~2× more pixel budget at toolbar size.
+// Because green=minutes, amber=seconds and blue=visits, we drop the unit suffix — the
+// color communicates the unit, and each digit gets ~2× more pixel budget at toolbar size.
 
 const COLORS = {
   default: '#D94A3D',  // Brand red — idle
   timer:   '#2D9A4E',  // Green — minutes remaining
   urgent:  '#E5A100',  // Amber — seconds remaining (<60s)
+  visits:  '#2F6FDB',  // Blue — visits remaining
   blocked: '#D94A3D',  // Brand red — budget spent / outside window
   paused:  '#B8B2A5',  // Warm gray — blocking temporarily off
+  focus:   '#5B4FCF',  // Indigo — focus session in a work phase
 };
 
 // ---------- Drawing primitives ----------
@@ -111,6 +115,22 @@ function drawPauseBars(ctx, size) {
   ctx.fill();
 }
 
+// Ring with a centre dot = focus target.
+function drawTarget(ctx, size) {
+  const cx = size / 2;
+  const cy = size / 2;
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.lineWidth = Math.max(1.5, size * 0.09);
+  ctx.beginPath();
+  ctx.arc(cx, cy, size * 0.24, 0, Math.PI * 2);
+  ctx.stroke();
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.beginPath();
+  ctx.arc(cx, cy, size * 0.08, 0, Math.PI * 2);
+  ctx.fill();
+}
+
 function drawIcon(ctx, size, state, text) {
   ctx.clearRect(0, 0, size, size);
   const color = COLORS[state] || COLORS.default;
@@ -119,6 +139,7 @@ function drawIcon(ctx, size, state, text) {
   switch (state) {
     case 'timer':
     case 'urgent':
+    case 'visits':
       if (text) {
         drawNumber(ctx, size, text);
       } else {
@@ -131,6 +152,9 @@ function drawIcon(ctx, size, state, text) {
     case 'paused':
       drawPauseBars(ctx, size);
       break;
+    case 'focus':
+      drawTarget(ctx, size);
+      break;
     default:
       drawBar(ctx, size);
   }
@@ -178,8 +202,10 @@ function buildAllSizes(state, text) {
 // updateIcon('default')        — red circle + white bar
 // updateIcon('timer',  '20')   — green circle + "20"
 // updateIcon('urgent', '45')   — amber circle + "45"
+// updateIcon('visits', '3')    — blue circle + "3"
 // updateIcon('blocked')        — red circle + white ×
 // updateIcon('paused')         — gray circle + pause bars
+// updateIcon('focus')          — indigo circle + target
 export async function updateIcon(state, text = '') {
   if (!updateIcon.cache) {
     updateIcon.cache = { key: null };
@@ -1,8 +1,16 @@
 // background/rule-engine.js — Translates group state into declarativeNetRequest rules
 import {
   getGroups, getPause,
-  getTrackingEntry, todayDateStr, getAllActivePauses,
+  getTrackingEntry, formatDateStr, getAllActivePauses, setRuleStatus,
+  sanitizeGroupPriority, sumTrackedSeconds, getWeekDateStrs, parseDateStr,
+  getRolloverEntry, getFocusSession, getPools, getPoolUsage, getCooldownState,
 } from '../shared/storage.js';
+import {
+  splitHostPort, isIpLiteral, getWeeklyBudget, getDailyBudgetMinutes,
+  ANYTIME_BLOCK_ID, getOverrideForDate, getPoolForGroup, sanitizeVisitLimit,
+  getCooldown, getSiteCap,
+} from '../shared/group-manager.js';
+import { isFocusBlocking } from './focus-session.js';
 
 const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
 
@@ -15,19 +23,125 @@ export function sitePatternToUrlFilter(pattern) {
   return `||${pattern}/`;
 }
 
-export function sitePatternToRegexFilter(pattern) {
-  // "facebook.com" → "^https?://([a-zA-Z0-9-]+\\.)*facebook\\.com/"
-  // "reddit.com/r/funny" → "^https?://([a-zA-Z0-9-]+\\.)*reddit\\.com/r/funny"
-  const parts = pattern.split('/');
-  const domain = parts[0];
-  const path = parts.length > 1 ? '/' + parts.slice(1).join('/') : '/';
+// ── Site Pattern Globs ──────────────────────────────────────────────────
+// Site patterns are prefixes of "host[:port]/path?query". The host is a
+// domain (punycode for IDNs), localhost, an IPv4 address or a bracketed IPv6
+// address; without a port the pattern matches any port. Glob syntax:
+//   *   in the domain — any run of domain characters ("*.substack.com", "news.*")
+//   *   in the path   — anything inside one path segment ("reddit.com/r/*/comments")
+//   **  in the path   — anything, across segments ("example.com/docs/**/edit")
+//   *   in the query  — anything inside one parameter value ("google.com/search?q=*")
+// The same regex source is used for declarativeNetRequest (RE2) and for
+// doesUrlMatchSite (JS), so it must stay within the syntax both engines share.
+
+const HOST_WILDCARD = '[a-zA-Z0-9.-]*';
+const PATH_SEGMENT_WILDCARD = '[^/?#]*';
+const PATH_ANY_WILDCARD = '[^?#]*';
+const QUERY_VALUE_WILDCARD = '[^&#]*';
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Escapes text for a case-sensitive regex (see isCaseSensitiveSite) so that its
+// letters still match either case.
+function escapeRegexCaseless(str) {
+  return escapeRegex(str).replace(/[a-z]/gi, ch => `[${ch.toLowerCase()}${ch.toUpperCase()}]`);
+}
+
+function globToRegex(text, wildcard, escape = escapeRegex) {
+  return text.split('*').map(escape).join(wildcard);
+}
+
+function pathGlobToRegex(path, escape) {
+  return path
+    .split('**')
+    .map(piece => globToRegex(piece, PATH_SEGMENT_WILDCARD, escape))
+    .join(PATH_ANY_WILDCARD);
+}
 
-  // Escape regex-special chars in domain (dots become \.)
-  const escapedDomain = domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  // Escape regex-special chars in path
-  const escapedPath = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// The pattern without its query; siteToRegexFilter adds that. Chrome lowercases
+// hosts, so only the path needs `escape` to ignore case.
+export function sitePatternToRegexFilter(pattern, escape = escapeRegex) {
+  // "facebook.com" → "^https?://([a-zA-Z0-9-]+\\.)*facebook\\.com(:[0-9]+)?/"
+  // "reddit.com/r/funny" → "^https?://([a-zA-Z0-9-]+\\.)*reddit\\.com(:[0-9]+)?/r/funny"
+  // "reddit.com/r/*/comments" → "^https?://([a-zA-Z0-9-]+\\.)*reddit\\.com(:[0-9]+)?/r/[^/?#]*/comments"
+  // "192.168.1.50:8080" → "^https?://192\\.168\\.1\\.50:8080/"
+  const slashIdx = pattern.indexOf('/');
+  const hostPart = slashIdx === -1 ? pattern : pattern.slice(0, slashIdx);
+  const path = slashIdx === -1 ? '/' : pattern.slice(slashIdx);
+  const { host, port } = splitHostPort(hostPart);
 
-  return `^https?://([a-zA-Z0-9-]+\\.)*${escapedDomain}${escapedPath}`;
+  // IP addresses have no subdomains.
+  const subdomains = isIpLiteral(host) ? '' : '([a-zA-Z0-9-]+\\.)*';
+  const portRegex = port === null ? '(:[0-9]+)?' : `:${port}`;
+  return `^https?://${subdomains}${globToRegex(host, HOST_WILDCARD)}${portRegex}${pathGlobToRegex(path, escape)}`;
+}
+
+// ── Query Conditions ────────────────────────────────────────────────────
+// A site may carry queryParams: [{ name, value }]. value === null means "has the
+// parameter"; otherwise the parameter must equal value (* allowed as a glob).
+// A query written in the pattern itself ("google.com/search?tbm=nws") becomes
+// conditions the same way. RE2 has no lookahead, so order-independence comes
+// from alternating every permutation of the conditions — hence the small cap
+// (MAX_QUERY_CONDITIONS in group-manager.js).
+// Values keep their case (IDs like YouTube's list= are case-sensitive), so a
+// site with a value condition gets a case-sensitive regex whose other letters
+// are spelled as [aA] classes.
+
+function splitPatternQuery(pattern) {
+  const queryIdx = pattern.indexOf('?');
+  if (queryIdx === -1) return { path: pattern, conditions: [] };
+  const conditions = pattern.slice(queryIdx + 1).split('&').filter(Boolean).map((part) => {
+    const eqIdx = part.indexOf('=');
+    return eqIdx === -1
+      ? { name: part, value: null }
+      : { name: part.slice(0, eqIdx), value: part.slice(eqIdx + 1) };
+  });
+  return { path: pattern.slice(0, queryIdx), conditions };
+}
+
+// Chrome percent-encodes these characters in a query and keeps every other
+// one as it is, so "q=c++" has to match a literal "c++".
+function encodeQueryText(text) {
+  return text.replace(/[^\x21-\x7e]|["#<>']/gu, ch => (ch === "'" ? '%27' : encodeURIComponent(ch)));
+}
+
+function queryConditionToRegex(condition, escape) {
+  const name = escape(encodeQueryText(condition.name));
+  if (condition.value === null || condition.value === undefined) {
+    return `${name}(=[^&#]*)?`;
+  }
+  const value = condition.value.split('*').map(piece => escapeRegex(encodeQueryText(piece))).join(QUERY_VALUE_WILDCARD);
+  return `${name}=${value}`;
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest])
+  );
+}
+
+function siteQueryConditions(site) {
+  return [...splitPatternQuery(site.pattern).conditions, ...(site.queryParams || [])];
+}
+
+export function isCaseSensitiveSite(site) {
+  return siteQueryConditions(site).some(condition => condition.value !== null && condition.value !== undefined);
+}
+
+export function siteToRegexFilter(site) {
+  const escape = isCaseSensitiveSite(site) ? escapeRegexCaseless : escapeRegex;
+  const base = sitePatternToRegexFilter(splitPatternQuery(site.pattern).path, escape);
+  const conditions = siteQueryConditions(site);
+  if (conditions.length === 0) return base;
+
+  // Each condition starts after "?" or "&" and ends at "&", "#" or the end of the URL.
+  const orderings = permutations(conditions.map(condition => queryConditionToRegex(condition, escape)))
+    .map(parts => parts.join('(&[^#]*)?&'));
+  const alternation = orderings.length === 1 ? orderings[0] : `(${orderings.join('|')})`;
+  return `${base}[^?#]*\\?([^#]*&)?${alternation}([&#]|$)`;
 }
 
 export function getCurrentDayStr() {
@@ -44,158 +158,525 @@ function timeStrToMinutes(timeStr) {
   return h * 60 + m;
 }
 
-export function isInsideTimeBlock(block) {
-  const currentDay = getCurrentDayStr();
-  if (!block.days.includes(currentDay)) return false;
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function atMinutes(date, minutes) {
+  const d = new Date(date);
+  d.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return d;
+}
+
+// A window whose end is earlier than its start wraps past midnight
+// (e.g. 22:00–02:00). The part after midnight belongs to the previous day.
+export function isOvernightBlock(block) {
+  return !block.allDay && timeStrToMinutes(block.endTime) < timeStrToMinutes(block.startTime);
+}
 
-  const now = getCurrentTimeMinutes();
-  const start = timeStrToMinutes(block.startTime);
-  const end = timeStrToMinutes(block.endTime);
-  return now >= start && now <= end;
+// The windows that open on `date`: a schedule override's own windows, none
+// on a day it unblocks or blocks outright, otherwise the weekly schedule's.
+export function getTimeBlocksForDate(group, date) {
+  const override = getOverrideForDate(group, formatDateStr(date));
+  if (override) return override.mode === 'windows' ? override.timeBlocks : [];
+  const dayName = DAY_NAMES[date.getDay()];
+  return group.allowedTimeBlocks.filter(block => block.days.includes(dayName));
 }
 
-export async function getActiveBlockForGroup(group) {
-  const today = getCurrentDayStr();
-  const nowMinutes = getCurrentTimeMinutes();
+// Returns { block, dateStr } for the window containing `now`, where dateStr is
+// the day the window started on (the key its usage is tracked under). An
+// overnight window belongs to its start day's schedule, so it runs to its end
+// even if the next day's windows are overridden.
+export function getActiveWindowForGroup(group, now = new Date()) {
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
 
-  for (const block of group.allowedTimeBlocks) {
-    if (!block.days.includes(today)) continue;
+  for (const block of getTimeBlocksForDate(group, now)) {
     const start = timeStrToMinutes(block.startTime);
     const end = timeStrToMinutes(block.endTime);
-    if (nowMinutes >= start && nowMinutes <= end) {
-      return block;
+    if (nowMinutes >= start && (isOvernightBlock(block) || nowMinutes <= end)) {
+      return { block, dateStr: formatDateStr(now) };
     }
   }
-  return null;
+  return getCarriedOverWindow(group, now);
 }
 
-export function getNextTimeWindowBoundary(groups) {
-  const now = new Date();
-  const today = getCurrentDayStr();
-  const nowMinutes = getCurrentTimeMinutes();
+// Yesterday's overnight window if it's still running past midnight at `now`,
+// as { block, dateStr } like getActiveWindowForGroup.
+export function getCarriedOverWindow(group, now = new Date()) {
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const yesterdayDate = addDays(now, -1);
+  for (const block of getTimeBlocksForDate(group, yesterdayDate)) {
+    if (isOvernightBlock(block) && nowMinutes <= timeStrToMinutes(block.endTime)) {
+      return { block, dateStr: formatDateStr(yesterdayDate) };
+    }
+  }
+  return null;
+}
 
-  let soonestMs = null;
+export function isInsideTimeBlock(block, now = new Date()) {
+  return getActiveWindowForGroup({ allowedTimeBlocks: [block] }, now) !== null;
+}
 
-  for (const group of groups) {
-    for (const block of group.allowedTimeBlocks) {
-      if (!block.days.includes(today)) continue;
+export async function getActiveBlockForGroup(group, now = new Date()) {
+  const activeWindow = getActiveWindowForGroup(group, now);
+  return activeWindow ? activeWindow.block : null;
+}
 
-      const start = timeStrToMinutes(block.startTime);
-      const end = timeStrToMinutes(block.endTime);
+// The imported calendar period (see importBlockedPeriods) running at `now`.
+export function getActiveBlockedPeriod(group, now = new Date()) {
+  const nowMs = now.getTime();
+  return (group.blockedPeriods || []).find(p => p.start <= nowMs && nowMs < p.end) || null;
+}
 
-      // Candidate boundaries that are still in the future today
-      const boundaries = [];
+// Strict periods (see validateStrictPeriod) that could be running around
+// `now`, as { start, end } timestamps.
+function strictPeriodRanges(group, now) {
+  const ranges = [];
+  for (const dayOffset of [-1, 0, 1]) {
+    const day = addDays(now, dayOffset);
+    for (const period of group.strictPeriods || []) {
+      if (!period.days.includes(DAY_NAMES[day.getDay()])) continue;
+      const start = timeStrToMinutes(period.startTime);
+      const end = timeStrToMinutes(period.endTime);
+      ranges.push({
+        start: atMinutes(day, start).getTime(),
+        end: atMinutes(end < start ? addDays(day, 1) : day, end).getTime(),
+      });
+    }
+  }
+  return ranges;
+}
 
-      if (start > nowMinutes) {
-        boundaries.push(start);
+// When pausing the group becomes possible again, or null if no strict period
+// is running. Back-to-back or overlapping periods count as one.
+export function getStrictPeriodEnd(group, now = new Date()) {
+  const ranges = strictPeriodRanges(group, now);
+  let at = now.getTime();
+  let until = null;
+  for (let extended = true; extended;) {
+    extended = false;
+    for (const range of ranges) {
+      if (range.start <= at && at < range.end) {
+        at = range.end;
+        until = range.end;
+        extended = true;
       }
+    }
+  }
+  return until;
+}
 
-      // end+1: isInsideTimeBlock uses <= for end, so at end+1 the window closes
-      const endBoundary = end + 1;
-      if (endBoundary > nowMinutes && endBoundary <= 24 * 60) {
-        boundaries.push(endBoundary);
-      }
+// The start of the next strict period after `now` and before `until`, or null.
+export function getNextStrictPeriodStart(group, now = new Date(), until = Infinity) {
+  let soonest = null;
+  for (const { start } of strictPeriodRanges(group, now)) {
+    if (start > now.getTime() && start < until && (soonest === null || start < soonest)) {
+      soonest = start;
+    }
+  }
+  return soonest;
+}
 
-      for (const boundaryMinutes of boundaries) {
-        const boundaryDate = new Date(now);
-        boundaryDate.setHours(Math.floor(boundaryMinutes / 60), boundaryMinutes % 60, 0, 0);
-        const boundaryMs = boundaryDate.getTime();
+export function getNextTimeWindowBoundary(groups, now = new Date()) {
+  let soonestMs = null;
+  const consider = (boundaryMs) => {
+    if (boundaryMs > now.getTime() && (soonestMs === null || boundaryMs < soonestMs)) {
+      soonestMs = boundaryMs;
+    }
+  };
+
+  // Yesterday's overnight windows may still be open; tomorrow's may open right
+  // after midnight, before the rollover alarm fires.
+  for (const dayOffset of [-1, 0, 1]) {
+    const day = addDays(now, dayOffset);
+
+    for (const group of groups) {
+      for (const block of getTimeBlocksForDate(group, day)) {
+        const start = timeStrToMinutes(block.startTime);
+        // end+1: windows include their end minute, so at end+1 the window closes
+        const endBoundary = timeStrToMinutes(block.endTime) + 1;
+        const endDay = isOvernightBlock(block) ? addDays(day, 1) : day;
 
-        if (boundaryMs > now.getTime()) {
-          if (soonestMs === null || boundaryMs < soonestMs) {
-            soonestMs = boundaryMs;
-          }
-        }
+        consider(atMinutes(day, start).getTime());
+        consider(atMinutes(endDay, endBoundary).getTime());
       }
     }
   }
 
+  // Imported calendar periods start and end at exact moments.
+  for (const group of groups) {
+    for (const period of group.blockedPeriods || []) {
+      consider(period.start);
+      consider(period.end);
+    }
+  }
+
   return soonestMs;
 }
 
-export async function shouldGroupBlockNow(group) {
+// Allowlist groups invert the meaning of sites and time blocks: their time
+// blocks are focus windows during which everything except the listed sites is
+// blocked, and their sites are the only ones left open.
+export function isAllowlistGroup(group) {
+  return group.type === 'allowlist';
+}
+
+// `site` is the group site the URL in question matched, if it has its own cap
+// (see findCappedSite); the decision then covers that site only.
+export async function shouldGroupBlockNow(group, now = new Date(), site = null) {
   // Check pause
   const pause = await getPause(group.id);
-  if (pause && pause.pausedUntil > Date.now()) {
+  if (pause && pause.pausedUntil > now.getTime()) {
     return { block: false, reason: 'paused', pausedUntil: pause.pausedUntil };
   }
 
-  // No time blocks → always block
-  if (group.allowedTimeBlocks.length === 0) {
+  const period = getActiveBlockedPeriod(group, now);
+  if (period) {
+    return { block: true, reason: 'calendar-block', period };
+  }
+
+  // A focus session's work phase blocks the group as if it had no windows
+  const session = await getFocusSession();
+  if (isFocusBlocking(session, group.id, now.getTime())) {
+    return { block: true, reason: 'focus-session', phaseEndsAt: session.phaseEndsAt };
+  }
+
+  // A dated override can take the whole day out of the weekly schedule, but
+  // only once yesterday's overnight window has run to its end
+  const override = getOverrideForDate(group, formatDateStr(now));
+  const dayOverride = override && override.mode !== 'windows' && !getCarriedOverWindow(group, now)
+    ? override : null;
+  if (dayOverride && dayOverride.mode === 'unblock') {
+    return { block: false, reason: 'override-unblocked', override };
+  }
+  if (dayOverride && dayOverride.mode === 'block') {
+    return { block: true, reason: 'override-blocked', override };
+  }
+
+  if (isAllowlistGroup(group)) {
+    // No focus windows → the allowlist is always enforced
+    if ((group.allowedTimeBlocks.length === 0 && !override) || getActiveWindowForGroup(group, now)) {
+      return { block: true, reason: 'allowlist-active' };
+    }
+    return { block: false, reason: 'allowlist-inactive' };
+  }
+
+  const weeklyBudget = getWeeklyBudget(group);
+  const dailyBudgetMinutes = getDailyBudgetMinutes(group);
+  const pool = getPoolForGroup(group, await getPools());
+  const anytimeMinutes = (weeklyBudget ? weeklyBudget.minutes : dailyBudgetMinutes) ||
+    (pool ? pool.minutesPerDay : null);
+
+  // No time blocks → always block, unless a group or pool budget can be spent any time
+  const scheduled = group.allowedTimeBlocks.length > 0 || !!override;
+  if (!scheduled && !anytimeMinutes) {
     return { block: true, reason: 'always-blocked' };
   }
 
   // Check if inside any active time block
-  const activeBlock = await getActiveBlockForGroup(group);
-  if (!activeBlock) {
+  const activeWindow = !scheduled
+    ? { block: { id: ANYTIME_BLOCK_ID, allowedMinutes: anytimeMinutes }, dateStr: formatDateStr(now) }
+    : getActiveWindowForGroup(group, now);
+  if (!activeWindow) {
     return { block: true, reason: 'outside-schedule' };
   }
 
-  // Inside active block — check budget
-  const dateStr = todayDateStr();
+  // Inside active block — check budget (tracked under the day the window opened)
+  const { block: activeBlock, dateStr } = activeWindow;
   const tracking = await getTrackingEntry(group.id, dateStr, activeBlock.id);
-  const usedMinutes = tracking.usedSeconds / 60;
+  // A visit-limited window counts visits rather than minutes (see sanitizeVisitLimit).
+  const visitLimit = sanitizeVisitLimit(activeBlock.visitLimit);
+  // Minutes carried over from the window's previous occurrence add to its own budget.
+  const carriedMinutes = activeBlock.id === ANYTIME_BLOCK_ID || visitLimit
+    ? 0
+    : (await getRolloverEntry(group.id, dateStr, activeBlock.id)).minutes;
+  const windowMinutes = activeBlock.allowedMinutes + carriedMinutes;
+  let allowedSeconds = visitLimit ? Infinity : windowMinutes * 60;
+
+  // The week is the one the window opened in. What this window may still use
+  // is capped by what the rest of the week left over.
+  if (weeklyBudget) {
+    const weekUsedSeconds = await sumTrackedSeconds(group.id, getWeekDateStrs(dateStr, weeklyBudget.weekStart));
+    if (weekUsedSeconds >= weeklyBudget.minutes * 60) {
+      return { block: true, reason: 'weekly-budget-exhausted', allowedMinutes: weeklyBudget.minutes };
+    }
+    allowedSeconds = Math.min(allowedSeconds, weeklyBudget.minutes * 60 - (weekUsedSeconds - tracking.usedSeconds));
+  }
+
+  // Likewise for the day the window opened, across all of the group's windows.
+  if (dailyBudgetMinutes) {
+    const dayUsedSeconds = await sumTrackedSeconds(group.id, [dateStr]);
+    if (dayUsedSeconds >= dailyBudgetMinutes * 60) {
+      return { block: true, reason: 'daily-budget-exhausted', allowedMinutes: dailyBudgetMinutes };
+    }
+    allowedSeconds = Math.min(allowedSeconds, dailyBudgetMinutes * 60 - (dayUsedSeconds - tracking.usedSeconds));
+  }
 
-  if (usedMinutes >= activeBlock.allowedMinutes) {
-    return { block: true, reason: 'budget-exhausted', allowedMinutes: activeBlock.allowedMinutes };
+  // A pool is spent by the calendar day, whichever member's window it goes to.
+  const poolDateStr = formatDateStr(now);
+  if (pool) {
+    const poolUsedSeconds = (await getPoolUsage(pool.id, poolDateStr)).usedSeconds;
+    if (poolUsedSeconds >= pool.minutesPerDay * 60) {
+      return { block: true, reason: 'pool-exhausted', allowedMinutes: pool.minutesPerDay, poolName: pool.name };
+    }
+    allowedSeconds = Math.min(allowedSeconds, tracking.usedSeconds + pool.minutesPerDay * 60 - poolUsedSeconds);
+  }
+
+  if (tracking.usedSeconds >= allowedSeconds) {
+    return { block: true, reason: 'budget-exhausted', allowedMinutes: windowMinutes };
+  }
+
+  // A capped site may use only part of the window's budget, tracked on its own.
+  const siteCap = site ? getSiteCap(site) : null;
+  let siteSeconds = 0;
+  if (siteCap) {
+    siteSeconds = (tracking.sites || {})[site.id] || 0;
+    if (siteSeconds >= siteCap * 60) {
+      return {
+        block: true,
+        reason: 'budget-exhausted',
+        allowedMinutes: siteCap,
+        siteId: site.id,
+        sitePattern: site.pattern,
+      };
+    }
+    allowedSeconds = Math.min(allowedSeconds, tracking.usedSeconds + siteCap * 60 - siteSeconds);
+  }
+
+  // The last allowed visit runs on until the sites have been left alone for
+  // awayMinutes; only a new visit after that is blocked.
+  let visits = null;
+  if (visitLimit) {
+    const visitsUsed = tracking.visits || 0;
+    const visitEndsAt = (tracking.lastSeenAt || 0) + visitLimit.awayMinutes * 60 * 1000;
+    if (visitsUsed >= visitLimit.visits && now.getTime() >= visitEndsAt) {
+      return { block: true, reason: 'visits-exhausted', allowedVisits: visitLimit.visits };
+    }
+    visits = {
+      visitLimit,
+      visitsLeft: Math.max(0, visitLimit.visits - visitsUsed),
+      lastVisitEndsAt: visitsUsed >= visitLimit.visits ? visitEndsAt : null,
+    };
   }
 
+  // A session that reached its length is followed by a cooldown; until then,
+  // the session's end caps what this window may use in one go.
+  const continuous = await getContinuousSession(group, now);
+  if (continuous && continuous.cooldownEndsAt) {
+    return {
+      block: true,
+      reason: 'cooldown',
+      cooldownEndsAt: continuous.cooldownEndsAt,
+      cooldownMinutes: continuous.cooldown.cooldownMinutes,
+    };
+  }
+  let sessionSecondsLeft = null;
+  if (continuous) {
+    sessionSecondsLeft = continuous.cooldown.sessionMinutes * 60 - continuous.sessionSeconds;
+    allowedSeconds = Math.min(allowedSeconds, tracking.usedSeconds + sessionSecondsLeft);
+  }
+
+  // allowedSeconds is this tracking entry's cap, so the tracker can count
+  // against it directly.
   return {
     block: false,
     reason: 'allowed',
     activeBlock,
-    remainingSeconds: (activeBlock.allowedMinutes * 60) - tracking.usedSeconds,
+    dateStr,
+    carriedMinutes,
+    allowedSeconds,
+    remainingSeconds: allowedSeconds - tracking.usedSeconds,
+    pool: pool ? { id: pool.id, dateStr: poolDateStr } : null,
+    site: siteCap ? { id: site.id, pattern: site.pattern, maxMinutes: siteCap } : null,
+    siteSeconds,
+    cooldown: continuous ? continuous.cooldown : null,
+    sessionSeconds: continuous ? continuous.sessionSeconds : 0,
+    sessionSecondsLeft,
+    visitLimit: null,
+    ...visits,
   };
 }
 
-export function doesUrlMatchSite(hostname, pathname, site) {
-  const pattern = site.pattern;
-  const patternParts = pattern.split('/');
-  const patternDomain = patternParts[0];
-  const patternPath = patternParts.length > 1 ? '/' + patternParts.slice(1).join('/') : null;
-
-  // Subdomain-inclusive matching: hostname must equal or end with .pattern
-  const hostLower = hostname.toLowerCase();
-  const domainLower = patternDomain.toLowerCase();
-
-  if (hostLower !== domainLower && !hostLower.endsWith('.' + domainLower)) {
-    return false;
+// The group's continuous session (see sanitizeCooldown): seconds spent on its
+// sites with no break of cooldownMinutes since, and — once that reached
+// sessionMinutes — when the cooldown ends. Null without a cooldown.
+export async function getContinuousSession(group, now = new Date()) {
+  const cooldown = getCooldown(group);
+  if (!cooldown) return null;
+  const { sessionSeconds, lastSeenAt } = await getCooldownState(group.id);
+  const breakEndsAt = lastSeenAt + cooldown.cooldownMinutes * 60 * 1000;
+  if (now.getTime() >= breakEndsAt) {
+    return { cooldown, sessionSeconds: 0, cooldownEndsAt: null };
   }
+  return {
+    cooldown,
+    sessionSeconds,
+    cooldownEndsAt: sessionSeconds >= cooldown.sessionMinutes * 60 ? breakEndsAt : null,
+  };
+}
 
-  // Path prefix matching if pattern has a path
-  if (patternPath) {
-    const pathLower = pathname.toLowerCase();
-    if (!pathLower.startsWith(patternPath.toLowerCase())) {
-      return false;
+// When the earliest last allowed visit (see shouldGroupBlockNow) lapses into a
+// block, or null. It depends on tracked visits, so unlike
+// getNextTimeWindowBoundary it reads storage.
+export async function getNextVisitBoundary(groups, now = new Date()) {
+  let soonestMs = null;
+  for (const group of groups) {
+    if (isAllowlistGroup(group)) continue;
+    const decision = await shouldGroupBlockNow(group, now);
+    const endsAt = decision.lastVisitEndsAt;
+    if (endsAt && endsAt > now.getTime() && (soonestMs === null || endsAt < soonestMs)) {
+      soonestMs = endsAt;
     }
   }
+  return soonestMs;
+}
 
-  return true;
+// The moment the current week's budget resets for a group with a weekly budget.
+export function getNextWeekStart(group, now = new Date()) {
+  const weeklyBudget = getWeeklyBudget(group);
+  if (!weeklyBudget) return null;
+  const daysIntoWeek = getWeekDateStrs(formatDateStr(now), weeklyBudget.weekStart).length;
+  const next = parseDateStr(formatDateStr(now));
+  next.setDate(next.getDate() + 8 - daysIntoWeek);
+  return next.getTime();
 }
 
-export function findMatchingGroups(url, groups) {
-  let hostname, pathname;
+const compiledPatternCache = new Map();
+
+function compileSite(site) {
+  // DNR regex filters are case-insensitive unless isUrlFilterCaseSensitive is set.
+  const flags = isCaseSensitiveSite(site) ? '' : 'i';
+  const source = siteToRegexFilter(site);
+  const key = `${flags}/${source}`;
+  let regex = compiledPatternCache.get(key);
+  if (!regex) {
+    regex = new RegExp(source, flags);
+    compiledPatternCache.set(key, regex);
+  }
+  return regex;
+}
+
+export function doesUrlMatchSite(host, pathname, site) {
+  // Reassemble a URL and run the exact regex DNR would use, so the tracker and
+  // popup can never disagree with the blocking rules. host includes the port;
+  // pathname includes the query.
+  return compileSite(site).test(`https://${host}${pathname || '/'}`);
+}
+
+export function isUrlExceptedFromGroup(host, pathname, group) {
+  return (group.exceptions || []).some(exception => doesUrlMatchSite(host, pathname, exception));
+}
+
+function parseMatchUrl(url) {
   try {
     const parsed = new URL(url);
-    hostname = parsed.hostname;
-    pathname = parsed.pathname;
+    return {
+      isWebUrl: parsed.protocol === 'http:' || parsed.protocol === 'https:',
+      host: parsed.host,
+      // Include the query so patterns like "youtube.com/playlist?list=..." match the
+      // same way the DNR regex does (it sees the full URL).
+      pathname: parsed.pathname + parsed.search,
+    };
   } catch {
-    return [];
+    return null;
   }
+}
+
+// A blocklist group governs a URL when one of its sites matches it; an
+// allowlist group governs every web URL that is *not* on its list.
+export function findMatchingGroups(url, groups) {
+  const target = parseMatchUrl(url);
+  if (!target) return [];
+  const { host, pathname, isWebUrl } = target;
 
   const matches = [];
   for (const group of groups) {
-    for (const site of group.sites) {
-      if (doesUrlMatchSite(hostname, pathname, site)) {
-        matches.push(group);
-        break;
-      }
+    const onList = group.sites.some(site => doesUrlMatchSite(host, pathname, site));
+    if (isAllowlistGroup(group)) {
+      if (isWebUrl && !onList) matches.push(group);
+      continue;
+    }
+    if (onList && !isUrlExceptedFromGroup(host, pathname, group)) {
+      matches.push(group);
     }
   }
   return matches;
 }
 
-// Serialize rebuilds: concurrent callers race on rule IDs, so chain them FIFO.
+// The first of a blocklist group's sites with its own cap that matches the
+// URL, or null.
+export function findCappedSite(url, group) {
+  const target = parseMatchUrl(url);
+  if (!target || isAllowlistGroup(group)) return null;
+  return group.sites.find(site => getSiteCap(site) && doesUrlMatchSite(target.host, target.pathname, site)) || null;
+}
+
+// ── Conflict Resolution ─────────────────────────────────────────────────
+// One policy decides a URL governed by several groups; the popup, the blocked
+// page, the time tracker, the explainer and the DNR rule tiers all follow it:
+//   1. Only groups that restrict the URL or grant it time take part. An
+//      inactive or paused allowlist opens nothing of its own, so it never
+//      overrides another group.
+//   2. The highest group priority among them decides (all groups default to 0).
+//   3. Within that priority the most restrictive decision wins: any block, else
+//      the smallest remaining budget, else a pause.
+// Time on an allowed page is charged to every governing group with budget left
+// in its current window, not just the winner.
+
+export function getGroupPriority(group) {
+  return sanitizeGroupPriority(group.priority ?? 0);
+}
+
+function takesPart({ group, decision }) {
+  return decision.block || !isAllowlistGroup(group);
+}
+
+// Orders allowed decisions by how soon they run out. Visit-limited windows
+// have no time budget (remainingSeconds is Infinity), so equal times fall back
+// to the visits left; subtracting two Infinities would give NaN.
+function compareRemaining(a, b) {
+  const timeA = a.decision.remainingSeconds;
+  const timeB = b.decision.remainingSeconds;
+  if (timeA !== timeB) return timeA < timeB ? -1 : 1;
+  const visitsA = a.decision.visitsLeft ?? Infinity;
+  const visitsB = b.decision.visitsLeft ?? Infinity;
+  if (visitsA !== visitsB) return visitsA < visitsB ? -1 : 1;
+  return 0;
+}
+
+// entries: [{ group, decision, ... }] for the groups governing one URL.
+export function resolveGroupDecisions(entries) {
+  const contenders = entries.filter(takesPart);
+  const topPriority = Math.max(...contenders.map(e => getGroupPriority(e.group)));
+  const tier = contenders.filter(e => getGroupPriority(e.group) === topPriority);
+
+  const winner =
+    tier.find(e => e.decision.block) ||
+    tier
+      .filter(e => e.decision.reason === 'allowed')
+      .sort(compareRemaining)[0] ||
+    tier[0] ||
+    entries[0] ||
+    null;
+
+  const charged = winner && winner.decision.reason === 'allowed'
+    ? entries.filter(e => e.decision.reason === 'allowed')
+    : [];
+  return { winner, charged };
+}
+
+export async function resolveUrl(url, groups, now = new Date()) {
+  const entries = [];
+  for (const group of findMatchingGroups(url, groups)) {
+    entries.push({ group, decision: await shouldGroupBlockNow(group, now, findCappedSite(url, group)) });
+  }
+  return { entries, ...resolveGroupDecisions(entries) };
+}
+
+// Serialize rebuilds: each one diffs against the rules the previous one left
+// behind, so chain them FIFO.
 let rebuildChain = Promise.resolve();
 
 export function rebuildAllRules() {
@@ -204,43 +685,613 @@ export function rebuildAllRules() {
   return next;
 }
 
-async function _rebuildAllRulesInner() {
-  const groups = await getGroups();
-  const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-  const removeRuleIds = existingRules.map(r => r.id);
+// Rule priorities, lowest first. An active allowlist redirects every page but
+// lets its own sites through; blocklist rules sit above both, so a site on both
+// lists stays blocked. Blocklist rules are stacked in one tier per group
+// priority: within a tier exceptions outrank blocks, a higher tier's blocks
+// outrank lower tiers' exceptions, and a non-blocking group lifts lower tiers'
+// blocks on its own sites with an override allow (which also covers its own
+// exceptions). DNR priorities are global, so an exception still lifts a
+// same-tier group's block on the same URL; the time tracker redirects in that
+// case because resolveGroupDecisions still picks the blocking group. It would
+// also lift an active allowlist's catch-all, so while one is active an
+// exception is only planned if the allowlist lets its URLs through anyway
+// (see isAllowedByAllowlists).
+const ALLOWLIST_CATCH_ALL_PRIORITY = 1;
+const ALLOWLIST_SITE_PRIORITY = 2;
+const TIER_BASE_PRIORITY = 3;
+const RULES_PER_TIER = 3;
 
-  let nextId = existingRules.reduce((m, r) => Math.max(m, r.id), 0) + 1;
-  const addRules = [];
+function tierPriorities(group) {
+  const base = TIER_BASE_PRIORITY + getGroupPriority(group) * RULES_PER_TIER;
+  return { override: base, block: base + 1, exception: base + 2 };
+}
+const WEB_URL_REGEX = '^https?://.*';
+const REGEX_PREFIX = '^https?://';
+
+// ── Rule Quotas ─────────────────────────────────────────────────────────
+// Chrome caps regex rules (MAX_NUMBER_OF_REGEX_RULES), redirect rules
+// (MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES) and dynamic rules overall, and RE2
+// rejects regexes whose compiled program is too large. To stay inside them:
+//   - sites sharing a redirect target are merged into one alternation regex,
+//     split into chunks that isRegexSupported accepts;
+//   - block rules for bare domains and allow rules for plain patterns use
+//     requestDomains/urlFilter, which don't count against the regex quota;
+//   - if regex rules still overflow, plain sites fall back to urlFilter
+//     redirects (the blocked page then can't show the original URL), and
+//     anything left over is dropped with a warning instead of failing the
+//     whole updateDynamicRules call.
 
+const MAX_MERGED_REGEX_LENGTH = 1000;
+const FALLBACK_REGEX_RULE_LIMIT = 1000;
+const FALLBACK_DYNAMIC_RULE_LIMIT = 5000;
+
+function getRuleLimits() {
+  const dnr = chrome.declarativeNetRequest;
+  return {
+    regex: dnr.MAX_NUMBER_OF_REGEX_RULES ?? FALLBACK_REGEX_RULE_LIMIT,
+    unsafe: dnr.MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES ?? dnr.MAX_NUMBER_OF_DYNAMIC_RULES ?? FALLBACK_DYNAMIC_RULE_LIMIT,
+    total: dnr.MAX_NUMBER_OF_DYNAMIC_RULES ?? dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES ?? FALLBACK_DYNAMIC_RULE_LIMIT,
+  };
+}
+
+// Plain patterns (no globs, no query) can be expressed without a regex.
+// requestDomains ignores the port and urlFilter can't express "any port", and
+// neither is meant for IP literals, so patterns with a port or an IP address
+// always go through a regex.
+function isPlainSite(site) {
+  const { host, port } = splitHostPort(site.pattern.split('/')[0]);
+  return !/[*?]/.test(site.pattern) &&
+    !(site.queryParams && site.queryParams.length) &&
+    port === null &&
+    !isIpLiteral(host);
+}
+
+async function isRegexAccepted(regex, isCaseSensitive) {
+  const dnr = chrome.declarativeNetRequest;
+  if (typeof dnr.isRegexSupported !== 'function') return true;
+  try {
+    const result = await dnr.isRegexSupported({ regex, isCaseSensitive });
+    return result.isSupported;
+  } catch {
+    return true;
+  }
+}
+
+// Returns { filters, rejected } — conditions for the merged regexes and the
+// sites RE2 refused. Case-sensitive sites are merged only with each other.
+async function mergeSiteRegexes(sites) {
+  const chunks = [];
+  for (const caseSensitive of [false, true]) {
+    let current = [];
+    let length = 0;
+    for (const site of sites.filter(s => isCaseSensitiveSite(s) === caseSensitive)) {
+      const body = siteToRegexFilter(site).slice(REGEX_PREFIX.length);
+      if (current.length > 0 && length + body.length > MAX_MERGED_REGEX_LENGTH) {
+        chunks.push(current);
+        current = [];
+        length = 0;
+      }
+      current.push({ site, body, caseSensitive });
+      length += body.length + 1;
+    }
+    if (current.length > 0) chunks.push(current);
+  }
+
+  const filters = [];
+  const rejected = [];
+  while (chunks.length > 0) {
+    const chunk = chunks.shift();
+    const { caseSensitive } = chunk[0];
+    const regex = chunk.length === 1
+      ? REGEX_PREFIX + chunk[0].body
+      : `${REGEX_PREFIX}(?:${chunk.map(c => c.body).join('|')})`;
+    if (await isRegexAccepted(regex, caseSensitive)) {
+      filters.push(caseSensitive ? { regexFilter: regex, isUrlFilterCaseSensitive: true } : { regexFilter: regex });
+    } else if (chunk.length > 1) {
+      const mid = Math.ceil(chunk.length / 2);
+      chunks.unshift(chunk.slice(0, mid), chunk.slice(mid));
+    } else {
+      rejected.push(chunk[0].site);
+    }
+  }
+  return { filters, rejected };
+}
+
+// A plain pattern without a path: a requestDomains entry matches it exactly,
+// on any port, like the regex.
+function isPlainDomain(site) {
+  return isPlainSite(site) && !site.pattern.includes('/');
+}
+
+// Non-regex conditions for plain sites: one requestDomains rule for bare
+// domains (subdomains included, like the regex) and a urlFilter per path.
+function plainSiteConditions(sites) {
+  const conditions = [];
+  const domains = sites.filter(isPlainDomain).map(site => site.pattern);
+  if (domains.length > 0) {
+    conditions.push({ requestDomains: domains, resourceTypes: ['main_frame'] });
+  }
+  for (const site of sites.filter(s => !isPlainDomain(s))) {
+    conditions.push({ urlFilter: sitePatternToUrlFilter(site.pattern), resourceTypes: ['main_frame'] });
+  }
+  return conditions;
+}
+
+function blockedPageQuery(group, decision) {
+  return `group=${encodeURIComponent(group.name)}&groupId=${encodeURIComponent(group.id)}&reason=${encodeURIComponent(decision.reason)}&allowedMinutes=${decision.allowedMinutes || ''}&allowedVisits=${decision.allowedVisits || ''}&cooldownEndsAt=${decision.cooldownEndsAt || ''}&site=${encodeURIComponent(decision.sitePattern || '')}`;
+}
+
+function patternList(sites) {
+  return sites.map(site => site.pattern).join(', ');
+}
+
+async function planAllowRules(group, sites, meta, priority, label, warnings) {
+  const rules = [];
+  for (const condition of plainSiteConditions(sites.filter(isPlainSite))) {
+    rules.push({ ...meta, priority, action: { type: 'allow' }, condition });
+  }
+  const { filters, rejected } = await mergeSiteRegexes(sites.filter(s => !isPlainSite(s)));
+  for (const filter of filters) {
+    rules.push({ ...meta, priority, action: { type: 'allow' }, condition: { ...filter, resourceTypes: ['main_frame'] } });
+  }
+  if (rejected.length > 0) {
+    warnings.push({ groupId: group.id, message: `${label} too complex for Chrome and ignored: ${patternList(rejected)}.` });
+  }
+  return rules;
+}
+
+// Whether every one of `allowlists` has a site covering the URL `site` stands
+// for. Only a pattern without globs stands for a single URL; the rest count as
+// not covered, which errs on the side of blocking.
+function isAllowedByAllowlists(site, allowlists) {
+  if (allowlists.length === 0) return true;
+  if (site.pattern.includes('*')) return false;
+  const query = (site.queryParams || [])
+    .map(({ name, value }) => (value === null || value === undefined ? name : `${name}=${value}`));
+  const separator = site.pattern.includes('?') ? '&' : '?';
+  const target = parseMatchUrl(`https://${site.pattern}${query.length > 0 ? separator + query.join('&') : ''}`);
+  return !!target && allowlists.every(group =>
+    group.sites.some(allowed => doesUrlMatchSite(target.host, target.pathname, allowed)));
+}
+
+// Plans the rules for one blocking group. `rules` is the preferred form: bare
+// domains share one requestDomains rule, so they never count against the regex
+// quota, and every other site keeps the original URL on the blocked page.
+// `fallbackRules` trades that URL for fewer regexes too.
+async function planGroupRules(group, decision, warnings, blockingAllowlists = []) {
+  const query = blockedPageQuery(group, decision);
+  const regexRedirect = {
+    type: 'redirect',
+    redirect: { regexSubstitution: chrome.runtime.getURL(`blocked/blocked.html?${query}&url=`) + '\\0' },
+  };
+  const staticRedirect = {
+    type: 'redirect',
+    redirect: { extensionPath: `/blocked/blocked.html?${query}` },
+  };
+
+  const rules = [];
+  const fallbackRules = [];
+  const both = (rule) => { rules.push(rule); fallbackRules.push(rule); };
+  // Every rule carries its group and decision so rebuilds can derive a stable ID.
+  const meta = { groupId: group.id, reason: decision.reason };
+  const priorities = tierPriorities(group);
+
+  if (isAllowlistGroup(group)) {
+    both({
+      ...meta,
+      priority: ALLOWLIST_CATCH_ALL_PRIORITY,
+      action: regexRedirect,
+      condition: { regexFilter: WEB_URL_REGEX, resourceTypes: ['main_frame'] },
+    });
+    const allowRules = await planAllowRules(group, group.sites, meta, ALLOWLIST_SITE_PRIORITY, 'Allowed sites', warnings);
+    allowRules.forEach(both);
+    return { rules, fallbackRules };
+  }
+
+  const plainSites = group.sites.filter(isPlainSite);
+  const patternSites = group.sites.filter(site => !isPlainSite(site));
+  const domainSites = group.sites.filter(isPlainDomain);
+
+  for (const condition of plainSiteConditions(domainSites)) {
+    rules.push({ ...meta, priority: priorities.block, action: staticRedirect, condition });
+  }
+  const merged = await mergeSiteRegexes(group.sites.filter(site => !isPlainDomain(site)));
+  for (const filter of merged.filters) {
+    rules.push({
+      ...meta,
+      priority: priorities.block,
+      action: regexRedirect,
+      condition: { ...filter, resourceTypes: ['main_frame'] },
+    });
+  }
+  if (merged.rejected.length > 0) {
+    warnings.push({ groupId: group.id, message: `Sites too complex for Chrome and not blocked: ${patternList(merged.rejected)}.` });
+  }
+
+  for (const condition of plainSiteConditions(plainSites)) {
+    fallbackRules.push({ ...meta, priority: priorities.block, action: staticRedirect, condition });
+  }
+  const patternMerged = await mergeSiteRegexes(patternSites);
+  for (const filter of patternMerged.filters) {
+    fallbackRules.push({
+      ...meta,
+      priority: priorities.block,
+      action: regexRedirect,
+      condition: { ...filter, resourceTypes: ['main_frame'] },
+    });
+  }
+
+  const exceptions = (group.exceptions || []).filter(site => isAllowedByAllowlists(site, blockingAllowlists));
+  const exceptionRules = await planAllowRules(group, exceptions, meta, priorities.exception, 'Exceptions', warnings);
+  exceptionRules.forEach(both);
+  return { rules, fallbackRules };
+}
+
+function countRules(rules) {
+  return {
+    regex: rules.filter(rule => rule.condition.regexFilter).length,
+    unsafe: rules.filter(rule => rule.action.type === 'redirect').length,
+    total: rules.length,
+  };
+}
+
+function exceedsLimits(counts, limits) {
+  return counts.regex > limits.regex || counts.unsafe > limits.unsafe || counts.total > limits.total;
+}
+
+// Returns { rules, warnings, counts, limits } for the given moment.
+export async function planRules(groups, now = new Date()) {
+  const warnings = [];
+  const plans = [];
+  const decisions = [];
   for (const group of groups) {
-    const decision = await shouldGroupBlockNow(group);
+    decisions.push({ group, decision: await shouldGroupBlockNow(group, now) });
+  }
+
+  const blockingAllowlists = decisions
+    .filter(({ group, decision }) => decision.block && isAllowlistGroup(group))
+    .map(({ group }) => group);
+
+  for (const { group, decision } of decisions) {
     if (!decision.block) continue;
+    const plan = await planGroupRules(group, decision, warnings, blockingAllowlists);
+    plans.push({ group, decision, ...plan, useFallback: false, dropped: false });
+  }
 
-    for (const site of group.sites) {
-      const regexFilter = sitePatternToRegexFilter(site.pattern);
-      const baseRedirectUrl = chrome.runtime.getURL(
-        `blocked/blocked.html?group=${encodeURIComponent(group.name)}&groupId=${encodeURIComponent(group.id)}&reason=${encodeURIComponent(decision.reason)}&allowedMinutes=${decision.allowedMinutes || ''}&url=`
-      );
-
-      addRules.push({
-        id: nextId++,
-        priority: 1,
-        action: {
-          type: 'redirect',
-          redirect: { regexSubstitution: baseRedirectUrl + '\\0' },
-        },
-        condition: {
-          regexFilter,
-          resourceTypes: ['main_frame'],
-        },
-      });
+  // In an open group, a capped site that spent its share is blocked on its
+  // own. Each gets its own plan so the blocked page names its cap; the
+  // group's exceptions come with the first.
+  for (const { group, decision } of decisions) {
+    if (decision.block || decision.reason !== 'allowed') continue;
+    let exceptions = group.exceptions || [];
+    for (const site of group.sites.filter(getSiteCap)) {
+      const siteDecision = await shouldGroupBlockNow(group, now, site);
+      if (!siteDecision.block) continue;
+      const plan = await planGroupRules({ ...group, sites: [site], exceptions }, siteDecision, warnings, blockingAllowlists);
+      plans.push({ group, decision: siteDecision, ...plan, useFallback: false, dropped: false });
+      exceptions = [];
     }
   }
 
-  await chrome.declarativeNetRequest.updateDynamicRules({
-    removeRuleIds,
-    addRules,
+  // A non-blocking blocklist group that outranks some blocking group lifts
+  // lower tiers' blocks on its sites (see resolveGroupDecisions). These go
+  // first so they're the last to be dropped: a missing block is still caught
+  // by the time tracker, a missing override is not.
+  const lowestBlockingPriority = Math.min(...plans.map(p => getGroupPriority(p.group)));
+  for (const { group, decision } of decisions) {
+    if (decision.block || !takesPart({ group, decision })) continue;
+    if (getGroupPriority(group) <= lowestBlockingPriority) continue;
+    const meta = { groupId: group.id, reason: decision.reason };
+    const overrideRules = await planAllowRules(group, group.sites, meta, tierPriorities(group).override, 'Sites', warnings);
+    plans.unshift({ group, decision, rules: overrideRules, fallbackRules: overrideRules, useFallback: false, dropped: false });
+  }
+
+  const limits = getRuleLimits();
+  const currentRules = () => plans.filter(p => !p.dropped).flatMap(p => (p.useFallback ? p.fallbackRules : p.rules));
+
+  // Degrade the groups that free the most regex rules first, so small groups
+  // keep full fidelity.
+  const savings = (p) => countRules(p.rules).regex - countRules(p.fallbackRules).regex;
+  const degradable = plans.filter(p => savings(p) > 0).sort((a, b) => savings(b) - savings(a));
+  for (const plan of degradable) {
+    if (!exceedsLimits(countRules(currentRules()), limits)) break;
+    plan.useFallback = true;
+    warnings.push({
+      groupId: plan.group.id,
+      message: `Too many pattern rules for Chrome's limit of ${limits.regex}; blocked pages for "${plan.group.name}" won't show the original URL.`,
+    });
+  }
+  for (let i = plans.length - 1; i >= 0 && exceedsLimits(countRules(currentRules()), limits); i--) {
+    plans[i].dropped = true;
+    const effect = plans[i].decision.block
+      ? 'is not blocked by the browser (the time tracker still redirects its tabs)'
+      : "can't override lower-priority groups in the browser";
+    warnings.push({
+      groupId: plans[i].group.id,
+      message: `Chrome's rule limits were reached; "${plans[i].group.name}" ${effect}.`,
+    });
+  }
+
+  const rules = currentRules();
+  return { rules, warnings, counts: countRules(rules), limits };
+}
+
+// ── Incremental Updates ─────────────────────────────────────────────────
+// Each rule's ID is a hash of (group, decision reason, priority, condition), so
+// the same rule gets the same ID on every rebuild. A rebuild only removes rules
+// that are gone or changed and only adds new ones, in a single atomic
+// updateDynamicRules call — unchanged groups are never touched.
+
+const MAX_RULE_ID = 2147483647;
+
+function hashString(str) {
+  // FNV-1a, 32-bit
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function ruleKey(rule) {
+  return `${rule.groupId}|${rule.reason}|${rule.priority}|${JSON.stringify(rule.condition)}`;
+}
+
+// Turns planned rules into DNR rules with stable IDs. Colliding keys probe upward.
+export function assignRuleIds(plannedRules) {
+  const usedIds = new Set();
+  return plannedRules.map((planned) => {
+    const { groupId, reason, ...rule } = planned;
+    let id = (hashString(ruleKey(planned)) % (MAX_RULE_ID - 1)) + 1;
+    while (usedIds.has(id)) id = (id % (MAX_RULE_ID - 1)) + 1;
+    usedIds.add(id);
+    return { id, ...rule };
   });
+}
+
+// True when every field we set on `desired` has the same value on `existing`
+// (Chrome may echo back defaults we never set).
+function ruleFieldsMatch(desired, existing) {
+  if (desired === null || typeof desired !== 'object') return desired === existing;
+  if (existing === null || typeof existing !== 'object') return false;
+  if (Array.isArray(desired)) {
+    return Array.isArray(existing) &&
+      desired.length === existing.length &&
+      desired.every((value, i) => ruleFieldsMatch(value, existing[i]));
+  }
+  return Object.keys(desired).every(key => ruleFieldsMatch(desired[key], existing[key]));
+}
+
+export function diffRules(existingRules, desiredRules) {
+  const existingById = new Map(existingRules.map(rule => [rule.id, rule]));
+  const desiredIds = new Set(desiredRules.map(rule => rule.id));
+
+  const kept = [];
+  const addRules = [];
+  const removeRuleIds = existingRules.filter(rule => !desiredIds.has(rule.id)).map(rule => rule.id);
+
+  for (const rule of desiredRules) {
+    const existing = existingById.get(rule.id);
+    if (existing && ruleFieldsMatch(rule, existing)) {
+      kept.push(rule.id);
+    } else {
+      if (existing) removeRuleIds.push(rule.id);
+      addRules.push(rule);
+    }
+  }
+  return { addRules, removeRuleIds, kept };
+}
+
+async function _rebuildAllRulesInner() {
+  const groups = await getGroups();
+  const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+  const plan = await planRules(groups);
+  const desiredRules = assignRuleIds(plan.rules);
+  const { addRules, removeRuleIds, kept } = diffRules(existingRules, desiredRules);
+  const status = { updatedAt: Date.now(), counts: plan.counts, limits: plan.limits, warnings: plan.warnings };
+
+  if (addRules.length > 0 || removeRuleIds.length > 0) {
+    try {
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds,
+        addRules,
+      });
+    } catch (e) {
+      status.warnings.push({ groupId: null, message: `Chrome rejected the blocking rules: ${e.message}` });
+      await setRuleStatus(status);
+      throw e;
+    }
+  }
+
+  await setRuleStatus(status);
+  return {
+    added: addRules.map(rule => rule.id),
+    removed: removeRuleIds,
+    kept,
+    addedCount: addRules.length,
+    removedCount: removeRuleIds.length,
+    keptCount: kept.length,
+    warnings: plan.warnings,
+  };
+}
+
+// ── Explainer ───────────────────────────────────────────────────────────
+// Answers "why is this URL blocked?" for a given moment: how every relevant
+// group evaluates, which decision wins, when it next changes, and the DNR rule
+// that would fire.
+
+// DNR breaks priority ties by action type: allow beats redirect.
+const ACTION_PRECEDENCE = { allow: 3, allowAllRequests: 2, block: 1, redirect: 0 };
+
+function hostMatchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+// Evaluates only the condition shapes planRules produces.
+function ruleConditionMatchesUrl(condition, parsed) {
+  const hostname = parsed.hostname.toLowerCase();
+  if (condition.regexFilter) {
+    return new RegExp(condition.regexFilter, condition.isUrlFilterCaseSensitive ? '' : 'i').test(parsed.href);
+  }
+  if (condition.requestDomains) {
+    return condition.requestDomains.some(domain => hostMatchesDomain(hostname, domain));
+  }
+  if (condition.urlFilter && condition.urlFilter.startsWith('||')) {
+    const filter = condition.urlFilter.slice(2).toLowerCase();
+    const slashIdx = filter.indexOf('/');
+    const domain = slashIdx === -1 ? filter : filter.slice(0, slashIdx);
+    const path = slashIdx === -1 ? '' : filter.slice(slashIdx);
+    return hostMatchesDomain(hostname, domain) &&
+      (parsed.pathname + parsed.search).toLowerCase().startsWith(path);
+  }
+  return false;
+}
+
+function findFiringRule(rules, parsed) {
+  let winner = null;
+  for (const rule of rules) {
+    if (!ruleConditionMatchesUrl(rule.condition, parsed)) continue;
+    if (
+      !winner ||
+      rule.priority > winner.priority ||
+      (rule.priority === winner.priority &&
+        (ACTION_PRECEDENCE[rule.action.type] ?? 0) > (ACTION_PRECEDENCE[winner.action.type] ?? 0))
+    ) {
+      winner = rule;
+    }
+  }
+  return winner;
+}
 
-  return { addedCount: addRules.length, removedCount: removeRuleIds.length };
+function nextMidnight(now) {
+  const midnight = addDays(now, 1);
+  midnight.setHours(0, 0, 0, 0);
+  return midnight.getTime();
+}
+
+// Midnight after the last consecutive day `override` decides.
+function overrideEnd(group, override, now) {
+  let day = addDays(now, 1);
+  while (getOverrideForDate(group, formatDateStr(day)) === override) day = addDays(day, 1);
+  day.setHours(0, 0, 0, 0);
+  return day.getTime();
+}
+
+// End of the run of back-to-back or overlapping periods starting with `period`.
+function blockedPeriodsEnd(group, period) {
+  let end = period.end;
+  let extended = true;
+  while (extended) {
+    extended = false;
+    for (const other of group.blockedPeriods || []) {
+      if (other.start <= end && other.end > end) {
+        end = other.end;
+        extended = true;
+      }
+    }
+  }
+  return end;
+}
+
+// The earliest moment this group's decision can change on its own.
+function nextDecisionChange(group, decision, now, session) {
+  // Nothing short of the weekly reset lifts an exhausted weekly budget.
+  if (decision.reason === 'weekly-budget-exhausted') {
+    return { at: getNextWeekStart(group, now), cause: 'week-resets' };
+  }
+  if (decision.reason === 'focus-session') {
+    return { at: decision.phaseEndsAt, cause: 'focus-phase-ends' };
+  }
+  if (decision.reason === 'cooldown') {
+    return { at: decision.cooldownEndsAt, cause: 'cooldown-ends' };
+  }
+  if (decision.reason === 'calendar-block') {
+    return { at: blockedPeriodsEnd(group, decision.period), cause: 'calendar-block-ends' };
+  }
+  if (decision.reason === 'override-blocked' || decision.reason === 'override-unblocked') {
+    return { at: overrideEnd(group, decision.override, now), cause: 'override-ends' };
+  }
+
+  const candidates = [];
+  const boundary = getNextTimeWindowBoundary([group], now);
+  if (boundary !== null) candidates.push({ at: boundary, cause: 'time-window-boundary' });
+  if (decision.reason === 'paused') candidates.push({ at: decision.pausedUntil, cause: 'pause-ends' });
+  if (session && session.groupIds.includes(group.id) && session.phaseEndsAt > now.getTime()) {
+    candidates.push({ at: session.phaseEndsAt, cause: 'focus-phase-ends' });
+  }
+  if (decision.reason === 'allowed' && Number.isFinite(decision.remainingSeconds)) {
+    const cause = decision.sessionSecondsLeft === decision.remainingSeconds
+      ? 'cooldown-starts-if-used'
+      : 'budget-runs-out-if-used';
+    candidates.push({ at: now.getTime() + decision.remainingSeconds * 1000, cause });
+  }
+  if (decision.reason === 'allowed' && decision.lastVisitEndsAt) {
+    candidates.push({ at: decision.lastVisitEndsAt, cause: 'last-visit-ends' });
+  }
+  if (group.allowedTimeBlocks.length > 0 || getDailyBudgetMinutes(group) || (group.overrides || []).length > 0 ||
+      group.poolId) {
+    candidates.push({ at: nextMidnight(now), cause: 'midnight' });
+  }
+
+  candidates.sort((a, b) => a.at - b.at);
+  return candidates[0] || null;
+}
+
+export async function explainUrl(url, groups, now = new Date()) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { ok: false, error: 'Enter a full URL, e.g. https://www.youtube.com/watch?v=…' };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { ok: false, error: 'Only http:// and https:// pages can be blocked.' };
+  }
+
+  const host = parsed.host;
+  const pathname = parsed.pathname + parsed.search;
+  const governing = new Set(findMatchingGroups(parsed.href, groups).map(g => g.id));
+
+  const session = await getFocusSession();
+  const evaluations = [];
+  for (const group of groups) {
+    const matchedSites = group.sites.filter(site => doesUrlMatchSite(host, pathname, site));
+    const matchedExceptions = (group.exceptions || []).filter(site => doesUrlMatchSite(host, pathname, site));
+    if (!governing.has(group.id) && matchedSites.length === 0 && matchedExceptions.length === 0) continue;
+
+    const decision = await shouldGroupBlockNow(group, now, findCappedSite(parsed.href, group));
+    evaluations.push({
+      groupId: group.id,
+      groupName: group.name,
+      type: isAllowlistGroup(group) ? 'allowlist' : 'blocklist',
+      priority: getGroupPriority(group),
+      governs: governing.has(group.id),
+      matchedSites: matchedSites.map(site => site.pattern),
+      matchedExceptions: matchedExceptions.map(site => site.pattern),
+      decision,
+      nextChange: nextDecisionChange(group, decision, now, session),
+    });
+  }
+
+  const groupsById = new Map(groups.map(group => [group.id, group]));
+  const { winner, charged } = resolveGroupDecisions(
+    evaluations
+      .filter(e => e.governs)
+      .map(e => ({ group: groupsById.get(e.groupId), decision: e.decision, evaluation: e })),
+  );
+
+  const plan = await planRules(groups, now);
+  const firingRule = findFiringRule(assignRuleIds(plan.rules), parsed);
+
+  return {
+    ok: true,
+    url: parsed.href,
+    at: now.getTime(),
+    evaluations,
+    winner: winner ? winner.evaluation : null,
+    chargedGroupIds: charged.map(e => e.group.id),
+    firingRule,
+  };
 }
@@ -3,14 +3,26 @@ import {
   getGroups, saveGroups, getSettings, saveSettings, onStorageChanged,
   setPause, clearPause, getAllActivePauses, todayDateStr,
   DEFAULT_DAILY_PAUSE_LIMIT, sanitizeDailyPauseLimit,
-  getPauseCount, incrementPauseCount,
+  getPauseCount, incrementPauseCount, getFocusSession,
+  setPipFrame, clearPipTab, clearPipTabs,
 } from '../shared/storage.js';
-import { rebuildAllRules, findMatchingGroups, shouldGroupBlockNow, getNextTimeWindowBoundary } from './rule-engine.js';
+import {
+  rebuildAllRules, resolveUrl, getNextTimeWindowBoundary, explainUrl,
+  getStrictPeriodEnd, getNextStrictPeriodStart, getNextVisitBoundary,
+  getContinuousSession,
+} from './rule-engine.js';
 import {
   evaluateCurrentTab, stopTracking, onPersistAlarm, getTrackingState,
-  IDLE_DETECTION_SECONDS, setIdleState,
+  IDLE_DETECTION_SECONDS, setIdleState, recordVisit, ALARM_COOLDOWN_PREFIX,
+  ALARM_TRACKING_EXHAUSTED, onExhaustionAlarm,
 } from './time-tracker.js';
 import { updateIcon, invalidateIconCache } from './icon-renderer.js';
+import { settleRollovers } from './budget-rollover.js';
+import { compactUsageHistory } from './usage-retention.js';
+import { pruneBlockedPeriods } from '../shared/group-manager.js';
+import {
+  ALARM_FOCUS_PHASE, startFocusSession, stopFocusSession, advanceFocusSession,
+} from './focus-session.js';
 
 const ALARM_PERSIST = 'persist-tick';
 const ALARM_MIDNIGHT = 'midnight-rollover';
@@ -19,6 +31,16 @@ const ALARM_TIME_BOUNDARY = 'time-window-boundary';
 
 // ── Event Listeners (registered synchronously at top level) ─────────────
 
+// Counts a visit if `url` opens a visit-limited window again (see
+// recordVisit); using up the last one needs an alarm for when that visit ends.
+async function countVisit(url) {
+  try {
+    if (await recordVisit(url)) await scheduleNextTimeWindowAlarm();
+  } catch (e) {
+    console.error('TimedFocus: recordVisit failed:', e);
+  }
+}
+
 const EVALUATE_DEBOUNCE_MS = 150;
 let evaluateTimer = null;
 let lastRequestedEvalKey = null;
@@ -64,27 +86,52 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' || changeInfo.url) {
     scheduleEvaluate(tabId, changeInfo.url || tab?.url || null);
   }
+  // A background tab starting or stopping sound can start or end charging.
+  if (changeInfo.audible !== undefined) {
+    scheduleEvaluate(null, null);
+  }
+
+  // A navigation in the foreground may be a visit to a visit-limited window
+  if (changeInfo.url && tab?.active) {
+    await countVisit(changeInfo.url);
+  }
 });
 
-chrome.tabs.onActivated.addListener(async () => {
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
   scheduleEvaluate(null, null);
+  // Switching to a tab opened in the background, or back to one left open
+  // past the away time, is a visit too
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    await countVisit(tab.url);
+  } catch (e) {
+    console.error('TimedFocus: visit check on activation failed:', e);
+  }
 });
 
 chrome.tabs.onRemoved.addListener(async (tabId) => {
-  const trackingState = getTrackingState();
+  const trackingState = await getTrackingState();
   if (trackingState && trackingState.tabId === tabId) {
     await stopTracking();
   }
+  await clearPipTab(tabId);
   scheduleEvaluate(null, null);
 });
 
 chrome.windows.onFocusChanged.addListener(async (windowId) => {
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
-    // All windows lost focus — stop tracking
+    // All windows lost focus — stop tracking (background tabs may resume it)
     await stopTracking();
     await updateIcon('default');
+    scheduleEvaluate(null, null);
   } else {
     scheduleEvaluate(null, null);
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, windowId });
+      if (tab) await countVisit(tab.url);
+    } catch (e) {
+      console.error('TimedFocus: visit check on focus failed:', e);
+    }
   }
 });
 
@@ -96,21 +143,31 @@ chrome.idle.onStateChanged.addListener(async (newState) => {
     return;
   }
 
-  await stopTracking();
+  // 'idle' fires IDLE_DETECTION_SECONDS after the last input; nothing was
+  // watched since then. 'locked' is immediate.
+  await stopTracking(newState === 'idle' ? Date.now() - IDLE_DETECTION_SECONDS * 1000 : Date.now());
   await updateIcon('default');
+  // Background media is charged while idle too.
+  scheduleEvaluate(null, null);
 });
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   try {
     if (alarm.name === ALARM_PERSIST) {
       await onPersistAlarm();
+    } else if (alarm.name === ALARM_TRACKING_EXHAUSTED) {
+      await onExhaustionAlarm();
     } else if (alarm.name === ALARM_MIDNIGHT) {
       await handleMidnightRollover();
     } else if (alarm.name === ALARM_TIME_BOUNDARY) {
       await handleTimeWindowBoundary();
+    } else if (alarm.name === ALARM_FOCUS_PHASE) {
+      await handleFocusPhaseEnd();
     } else if (alarm.name.startsWith(ALARM_PAUSE_PREFIX)) {
       const groupId = alarm.name.slice(ALARM_PAUSE_PREFIX.length);
       await handlePauseExpiry(groupId);
+    } else if (alarm.name.startsWith(ALARM_COOLDOWN_PREFIX)) {
+      await handleCooldownEnd();
     }
   } catch (e) {
     console.error('TimedFocus: Unhandled error in alarm handler:', alarm.name, e);
@@ -154,8 +211,39 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === 'focus-session-start') {
+    handleFocusSessionStart(message.options || {})
+      .then((result) => sendResponse(result))
+      .catch((e) => sendResponse({ ok: false, error: e.message }));
+    return true;
+  }
+
+  if (message.type === 'focus-session-stop') {
+    handleFocusSessionStop()
+      .then((result) => sendResponse(result))
+      .catch((e) => sendResponse({ ok: false, error: e.message }));
+    return true;
+  }
+
   if (message.type === 'get-tracking-state') {
-    sendResponse({ state: getTrackingState() });
+    getTrackingState()
+      .then((state) => sendResponse({ state }))
+      .catch((e) => sendResponse({ ok: false, error: e.message }));
+    return true;
+  }
+
+  if (message.type === 'explain-url') {
+    getGroups()
+      .then((groups) => explainUrl(message.url, groups, message.at ? new Date(message.at) : new Date()))
+      .then((explanation) => sendResponse(explanation))
+      .catch((e) => sendResponse({ ok: false, error: e.message }));
+    return true;
+  }
+
+  if (message.type === 'pip-changed' && sender.tab) {
+    setPipFrame(sender.tab.id, sender.frameId ?? 0, message.active === true)
+      .then(() => scheduleEvaluate(null, null))
+      .catch((e) => console.error('TimedFocus: Failed to record picture-in-picture state:', e));
     return false;
   }
 
@@ -169,17 +257,80 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 // Listen for storage changes to rebuild rules
 onStorageChanged(async (changes) => {
-  if (changes.groups) {
+  if (changes.groups || changes.pools) {
     await rebuildAllRules();
     await evaluateCurrentTab();
     await scheduleNextTimeWindowAlarm();
   }
+  if (changes.groups) {
+    try {
+      await syncMediaWatch();
+    } catch (e) {
+      console.error('TimedFocus: syncMediaWatch failed:', e);
+    }
+  }
+  // Turning multi-window tracking on or off changes what is charged.
+  if (changes.settings) {
+    await evaluateCurrentTab();
+  }
 });
 
+// ── Media Watch ─────────────────────────────────────────────────────────
+
+const MEDIA_WATCH_SCRIPT_ID = 'media-watch';
+const MEDIA_WATCH_FILES = ['content/media-watch.js'];
+const MEDIA_WATCH_MATCHES = ['http://*/*', 'https://*/*'];
+
+// Serialize syncs: each one checks what the previous one registered, so two
+// quick group changes mustn't both register the script.
+let mediaWatchChain = Promise.resolve();
+
+function syncMediaWatch() {
+  const next = mediaWatchChain.then(_syncMediaWatchInner, _syncMediaWatchInner);
+  mediaWatchChain = next.catch(() => {});
+  return next;
+}
+
+// The picture-in-picture reporter only runs while some group counts
+// background media. Registering it covers pages loaded from then on; pages
+// already open get a copy injected.
+async function _syncMediaWatchInner() {
+  const wanted = (await getGroups()).some(group => group.countBackgroundMedia);
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [MEDIA_WATCH_SCRIPT_ID] });
+  if (wanted === registered.length > 0) return;
+
+  if (!wanted) {
+    await chrome.scripting.unregisterContentScripts({ ids: [MEDIA_WATCH_SCRIPT_ID] });
+    await clearPipTabs();
+    return;
+  }
+
+  await chrome.scripting.registerContentScripts([{
+    id: MEDIA_WATCH_SCRIPT_ID,
+    matches: MEDIA_WATCH_MATCHES,
+    js: MEDIA_WATCH_FILES,
+    allFrames: true,
+    runAt: 'document_start',
+  }]);
+  for (const tab of await chrome.tabs.query({ url: MEDIA_WATCH_MATCHES })) {
+    try {
+      await chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: true }, files: MEDIA_WATCH_FILES });
+    } catch {
+      // Pages Chrome won't let extensions script, e.g. the Web Store
+    }
+  }
+}
+
 // ── Initialization ──────────────────────────────────────────────────────
 
 async function initialize() {
   try {
+    // Settle any windows that ended while the service worker was not running
+    await settleRollovers();
+
+    // Move a focus session past any phases that ended while we were stopped
+    await advanceFocusSession();
+
     // Rebuild all blocking rules from storage
     await rebuildAllRules();
 
@@ -191,6 +342,9 @@ async function initialize() {
 
     // Evaluate current tab
     await evaluateCurrentTab();
+
+    // Run the picture-in-picture reporter only if a group needs it
+    await syncMediaWatch();
   } catch (e) {
     console.error('Timed Focus initialization error:', e);
   }
@@ -210,6 +364,14 @@ async function setupAlarms() {
     await chrome.alarms.create(alarmName, { when: pause.pausedUntil });
   }
 
+  // Restore the alarms of cooldowns still running
+  for (const group of await getGroups()) {
+    const continuous = await getContinuousSession(group);
+    if (continuous && continuous.cooldownEndsAt) {
+      await chrome.alarms.create(`${ALARM_COOLDOWN_PREFIX}${group.id}`, { when: continuous.cooldownEndsAt });
+    }
+  }
+
   // Schedule alarm for next time-window boundary
   await scheduleNextTimeWindowAlarm();
 }
@@ -238,10 +400,12 @@ async function scheduleNextTimeWindowAlarm() {
   await chrome.alarms.clear(ALARM_TIME_BOUNDARY);
 
   const groups = await getGroups();
-  const nextBoundaryMs = getNextTimeWindowBoundary(groups);
+  // A last allowed visit ends on its own schedule, not at a window boundary.
+  const boundaries = [getNextTimeWindowBoundary(groups), await getNextVisitBoundary(groups)]
+    .filter(ms => ms !== null);
 
-  if (nextBoundaryMs !== null) {
-    await chrome.alarms.create(ALARM_TIME_BOUNDARY, { when: nextBoundaryMs });
+  if (boundaries.length > 0) {
+    await chrome.alarms.create(ALARM_TIME_BOUNDARY, { when: Math.min(...boundaries) });
   }
 }
 
@@ -264,9 +428,16 @@ async function handleTimeWindowBoundary() {
 async function handlePauseActivated(groupId, pausedUntil) {
   const pauseStatus = await getPauseLimitStatus(groupId);
   if (!pauseStatus.ok) return pauseStatus;
+  if (pauseStatus.strictUntil) {
+    return { ...pauseStatus, ok: false, reason: 'strict-period' };
+  }
   if (pauseStatus.remaining <= 0) {
     return { ...pauseStatus, ok: false, reason: 'pause-limit-reached' };
   }
+  // A pause can't run into the next strict period.
+  if (pauseStatus.nextStrictStart) {
+    pausedUntil = Math.min(pausedUntil, pauseStatus.nextStrictStart);
+  }
 
   await setPause(groupId, pausedUntil);
   const dateStr = todayDateStr();
@@ -310,15 +481,101 @@ async function handlePauseExpiry(groupId) {
   await scheduleNextTimeWindowAlarm();
 }
 
+// The tracker starts a cooldown when a continuous session reaches its length
+// (see persistTracking); here it ends, and the group's rules go back to normal.
+async function handleCooldownEnd() {
+  try {
+    await rebuildAllRules();
+  } catch (e) {
+    console.error('TimedFocus: rebuildAllRules failed in cooldown-end:', e);
+  }
+  try {
+    await evaluateCurrentTab();
+  } catch (e) {
+    console.error('TimedFocus: evaluateCurrentTab failed in cooldown-end:', e);
+  }
+  await scheduleNextTimeWindowAlarm();
+}
+
+// ── Focus Sessions ──────────────────────────────────────────────────────
+
+async function applyFocusSessionChange() {
+  await rebuildAllRules();
+  await evaluateCurrentTab();
+  await scheduleNextTimeWindowAlarm();
+}
+
+async function handleFocusSessionStart(options) {
+  const result = await startFocusSession(options);
+  if (result.ok) await applyFocusSessionChange();
+  return result;
+}
+
+// Ending a session early lifts its blocks like a pause does, so it passes the
+// same checks: refused during any of its groups' strict periods, and it uses
+// one of each group's daily pauses, which every group must have left.
+async function handleFocusSessionStop() {
+  const session = await getFocusSession();
+  if (!session) return { ok: true };
+
+  const groups = await getGroups();
+  const charged = [];
+  for (const groupId of session.groupIds) {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) continue;
+    const pauseStatus = await getPauseLimitStatus(groupId);
+    if (pauseStatus.strictUntil) {
+      return { ...pauseStatus, ok: false, reason: 'strict-period', groupName: group.name };
+    }
+    if (pauseStatus.remaining <= 0) {
+      return { ...pauseStatus, ok: false, reason: 'pause-limit-reached', groupName: group.name };
+    }
+    charged.push(groupId);
+  }
+
+  const dateStr = todayDateStr();
+  for (const groupId of charged) {
+    await incrementPauseCount(groupId, dateStr);
+  }
+  await stopFocusSession();
+  await applyFocusSessionChange();
+  return { ok: true };
+}
+
+async function handleFocusPhaseEnd() {
+  try {
+    await advanceFocusSession();
+  } catch (e) {
+    console.error('TimedFocus: advanceFocusSession failed at phase end:', e);
+  }
+  await applyFocusSessionChange();
+}
+
 // ── Midnight Rollover ───────────────────────────────────────────────────
 
 async function handleMidnightRollover() {
-  // Stop any active tracking (new day = fresh budgets)
+  // Stop any active tracking so it restarts under the right day's key. Overnight
+  // windows keep their start day's key, so an open window carries on unchanged.
   try {
     await stopTracking();
   } catch (e) {
     console.error('TimedFocus: stopTracking failed in midnight rollover:', e);
   }
+  try {
+    await settleRollovers();
+  } catch (e) {
+    console.error('TimedFocus: settleRollovers failed in midnight rollover:', e);
+  }
+  try {
+    await compactUsageHistory();
+  } catch (e) {
+    console.error('TimedFocus: compactUsageHistory failed in midnight rollover:', e);
+  }
+  try {
+    await pruneBlockedPeriods();
+  } catch (e) {
+    console.error('TimedFocus: pruneBlockedPeriods failed in midnight rollover:', e);
+  }
   try {
     await rebuildAllRules();
   } catch (e) {
@@ -340,18 +597,15 @@ async function handleMidnightRollover() {
 async function getTabStatus(url) {
   if (!url) return { matched: false };
 
-  const groups = await getGroups();
-  const matching = findMatchingGroups(url, groups);
-  if (matching.length === 0) return { matched: false };
-
-  const group = matching[0];
-  const decision = await shouldGroupBlockNow(group);
+  const { winner, charged } = await resolveUrl(url, await getGroups());
+  if (!winner) return { matched: false };
 
   return {
     matched: true,
-    groupId: group.id,
-    groupName: group.name,
-    ...decision,
+    groupId: winner.group.id,
+    groupName: winner.group.name,
+    chargedGroupIds: charged.map(e => e.group.id),
+    ...winner.decision,
   };
 }
 
@@ -368,6 +622,7 @@ async function getPauseLimitStatus(groupId) {
   const dateStr = todayDateStr();
   const entry = await getPauseCount(groupId, dateStr);
   const used = entry.count || 0;
+  const now = new Date();
 
   return {
     ok: true,
@@ -375,6 +630,8 @@ async function getPauseLimitStatus(groupId) {
     limit,
     used,
     remaining: Math.max(0, limit - used),
+    strictUntil: getStrictPeriodEnd(group, now),
+    nextStrictStart: getNextStrictPeriodStart(group, now),
   };
 }
 
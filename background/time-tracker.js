@@ -1,24 +1,83 @@
 // background/time-tracker.js — Per-second tracking for the active foreground tab
 import {
-  getGroups, getTrackingEntry, setTrackingEntry, todayDateStr,
+  getGroups, getTrackingEntry, setTrackingEntry, getFocusSession, getSettings,
+  getPoolUsage, setPoolUsage, setCooldownState, getPipTabIds, clearPipTab,
+  getTrackingSession, setTrackingSession, clearTrackingSession,
 } from '../shared/storage.js';
 import { updateIcon, formatBadgeTime } from './icon-renderer.js';
-import {
-  rebuildAllRules, findMatchingGroups, shouldGroupBlockNow,
-} from './rule-engine.js';
+import { rebuildAllRules, resolveUrl, shouldGroupBlockNow } from './rule-engine.js';
 
 export const IDLE_DETECTION_SECONDS = 60;
+export const ALARM_COOLDOWN_PREFIX = 'cooldown-end::';
+export const ALARM_TRACKING_EXHAUSTED = 'tracking-exhausted';
 const TRACKABLE_WINDOW_TYPES = ['normal', 'popup'];
+const PERSIST_INTERVAL_MS = 30 * 1000;
+// Longer than the 30-second persist alarm, which keeps waking the service
+// worker; a longer gap means the browser or the machine was suspended.
+const MAX_UNSEEN_MS = 60 * 1000;
 
 let trackingState = null;
-// { groupId, blockId, usedSeconds, allowedSeconds, tabId, windowId, dateStr, intervalId }
+// { groupId, charges, pools, tabId, windowId, allWindows, accountedAt,
+//   lastSeenAt, persistedAt, exhaustsAt, intervalId }
+// tabId and windowId are the foreground tab's and groupId is the group that
+// decides it; all three are null while only background tabs are being charged
+// (see resolveBackgroundTabs). The badge shows groupId's budget, or with
+// allWindows (settings.trackAllWindows) the most urgent one. charges holds one
+// { groupId, blockId, dateStr, pool, site, siteSeconds, visitLimit,
+// visitsLeft, cooldown, sessionSeconds, usedSeconds, allowedSeconds } per group
+// the time counts toward. site is the capped site the tab is on, if any.
+// allowedSeconds already folds in the group's daily, weekly and pool budgets,
+// the site's cap and the rest of its continuous session (see shouldGroupBlockNow);
+// it is Infinity for a visit-limited window without any of those. pools holds one
+// { id, dateStr, usedSeconds } per budget pool those groups share, charged once
+// per second however many of its members match. A group is charged once per
+// second too, however many tabs are on its sites.
+//
+// Time is counted from timestamps, not ticks: usedSeconds are as of
+// accountedAt, and each tick credits the whole seconds since (see accrue).
+// lastSeenAt is when the session was last confirmed still running. The state
+// is mirrored to session storage, so when the service worker is stopped the
+// next one picks it up and credits the time in between (see whenRestored),
+// and an alarm at exhaustsAt ends the session when a budget runs out.
 
-let tickCounter = 0;
 let currentIdleState = 'active';
 let tickInFlight = false;
+let restoring = null;
+
+export async function getTrackingState() {
+  await whenRestored();
+  if (!trackingState) return null;
+  const { blockId, dateStr, usedSeconds, allowedSeconds } = getWinningCharge() || {};
+  return {
+    ...trackingState,
+    blockId,
+    dateStr,
+    usedSeconds,
+    allowedSeconds,
+    charges: trackingState.charges.map(charge => ({ ...charge })),
+  };
+}
 
-export function getTrackingState() {
-  return trackingState ? { ...trackingState } : null;
+function getWinningCharge() {
+  return trackingState.charges.find(charge => charge.groupId === trackingState.groupId);
+}
+
+// The charge the icon shows: the winner's, or with allWindows whichever
+// charge runs out first.
+function getBadgeCharge() {
+  const winning = getWinningCharge();
+  if (!trackingState.allWindows) return winning;
+  const remaining = charge => charge.allowedSeconds - charge.usedSeconds;
+  return trackingState.charges.reduce(
+    (urgent, charge) => (remaining(charge) < remaining(urgent) ? charge : urgent),
+    winning || trackingState.charges[0],
+  );
+}
+
+function chargeKey(charge) {
+  const poolKey = charge.pool ? `::${charge.pool.id}::${charge.pool.dateStr}` : '';
+  const siteKey = charge.site ? `::${charge.site.id}` : '';
+  return `${charge.groupId}::${charge.dateStr}::${charge.blockId}${poolKey}${siteKey}`;
 }
 
 export function setIdleState(idleState) {
@@ -52,7 +111,7 @@ function extractOriginalUrl(blockedPageUrl) {
 
 function buildBlockedRedirectUrl(group, decision, url) {
   return chrome.runtime.getURL(
-    `blocked/blocked.html?group=${encodeURIComponent(group.name)}&groupId=${encodeURIComponent(group.id)}&reason=${encodeURIComponent(decision.reason)}&allowedMinutes=${decision.allowedMinutes || ''}&url=${encodeURIComponent(url)}`
+    `blocked/blocked.html?group=${encodeURIComponent(group.name)}&groupId=${encodeURIComponent(group.id)}&reason=${encodeURIComponent(decision.reason)}&allowedMinutes=${decision.allowedMinutes || ''}&allowedVisits=${decision.allowedVisits || ''}&cooldownEndsAt=${decision.cooldownEndsAt || ''}&site=${encodeURIComponent(decision.sitePattern || '')}&url=${encodeURIComponent(url)}`
   );
 }
 
@@ -102,19 +161,9 @@ async function resolveForegroundTabState() {
     const originalUrl = extractOriginalUrl(url);
 
     if (originalUrl) {
-      const groups = await getGroups();
-      const matchingGroups = findMatchingGroups(originalUrl, groups);
-
-      let stillBlocked = false;
-      for (const group of matchingGroups) {
-        const decision = await shouldGroupBlockNow(group);
-        if (decision.block) {
-          stillBlocked = true;
-          break;
-        }
-      }
+      const { winner } = await resolveUrl(originalUrl, await getGroups());
 
-      if (!stillBlocked && matchingGroups.length > 0) {
+      if (winner && !winner.decision.block) {
         return {
           status: 'restore-original',
           originalUrl,
@@ -130,79 +179,204 @@ async function resolveForegroundTabState() {
     return { status: 'default' };
   }
 
-  const groups = await getGroups();
-  const matchingGroups = findMatchingGroups(url, groups);
+  const { winner, charged } = await resolveUrl(url, await getGroups());
+
+  if (!winner) {
+    return { status: 'default' };
+  }
+
+  if (winner.decision.block) {
+    return {
+      status: 'redirect-blocked',
+      decision: winner.decision,
+      group: winner.group,
+      tabId: tab.id,
+      url,
+    };
+  }
 
-  if (matchingGroups.length === 0) {
+  if (winner.decision.reason === 'paused') {
+    return {
+      status: 'paused',
+      pauseRemaining: Math.ceil((winner.decision.pausedUntil - Date.now()) / 1000),
+    };
+  }
+
+  if (charged.length === 0) {
     return { status: 'default' };
   }
 
-  let mostRestrictive = null;
-  let bestDecision = null;
+  return {
+    status: 'track',
+    groupId: winner.group.id,
+    charges: toCharges(charged),
+    tabId: tab.id,
+    url,
+    windowId,
+  };
+}
 
-  for (const group of matchingGroups) {
-    const decision = await shouldGroupBlockNow(group);
+function toCharges(charged) {
+  return charged.map(({ group, decision }) => ({
+    groupId: group.id,
+    blockId: decision.activeBlock.id,
+    dateStr: decision.dateStr,
+    pool: decision.pool,
+    site: decision.site,
+    visitLimit: decision.visitLimit,
+    visitsLeft: decision.visitsLeft,
+    cooldown: decision.cooldown,
+    sessionSeconds: decision.sessionSeconds,
+    allowedSeconds: decision.allowedSeconds,
+  }));
+}
 
-    if (decision.block) {
-      return {
-        status: 'redirect-blocked',
-        decision,
-        group,
-        tabId: tab.id,
-        url,
-      };
+// The active tab of every non-minimized normal window, while the user is
+// active. The focused window's is skipped later as the foreground tab.
+async function getVisibleTabs() {
+  if (currentIdleState !== 'active') return [];
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  return windows
+    .filter(win => win.state !== 'minimized' && Array.isArray(win.tabs))
+    .map(win => win.tabs.find(tab => tab.active))
+    .filter(Boolean);
+}
+
+// Tabs playing sound or showing picture-in-picture, in the foreground or not.
+async function getMediaTabs() {
+  const tabs = await chrome.tabs.query({ audible: true });
+  for (const tabId of await getPipTabIds()) {
+    if (tabs.some(tab => tab.id === tabId)) continue;
+    try {
+      tabs.push(await chrome.tabs.get(tabId));
+    } catch {
+      await clearPipTab(tabId);
     }
+  }
+  return tabs;
+}
 
-    if (decision.reason === 'paused') {
-      return {
-        status: 'paused',
-        pauseRemaining: Math.ceil((decision.pausedUntil - Date.now()) / 1000),
-      };
+// Tabs other than the foreground one can charge budgets too:
+//   - with settings.trackAllWindows, the active tab of every visible window
+//     charges every group governing it, just like the foreground tab;
+//   - a tab playing sound or showing picture-in-picture charges the groups
+//     that opted in (countBackgroundMedia), even while the user is idle.
+// Returns those charges, one per group, and the tabs whose group is blocked
+// by now, which are sent to the blocked page.
+async function resolveBackgroundTabs(foregroundTabId, trackAllWindows) {
+  const groups = await getGroups();
+  const candidates = new Map();
+  if (trackAllWindows) {
+    for (const tab of await getVisibleTabs()) candidates.set(tab.id, { tab, visible: true });
+  }
+  if (groups.some(group => group.countBackgroundMedia)) {
+    for (const tab of await getMediaTabs()) {
+      if (!candidates.has(tab.id)) candidates.set(tab.id, { tab, visible: false });
     }
+  }
 
-    if (decision.reason === 'allowed') {
-      if (!bestDecision || decision.remainingSeconds < bestDecision.remainingSeconds) {
-        mostRestrictive = group;
-        bestDecision = decision;
+  const charges = [];
+  const blocked = [];
+  for (const { tab, visible } of candidates.values()) {
+    if (tab.id === foregroundTabId || !tab.url || isInternalUrl(tab.url)) continue;
+    const { winner, charged } = await resolveUrl(tab.url, groups);
+    if (!winner) continue;
+    if (winner.decision.block) {
+      if (visible || winner.group.countBackgroundMedia) {
+        blocked.push({ tabId: tab.id, group: winner.group, decision: winner.decision, url: tab.url });
       }
+      continue;
+    }
+    const counted = visible ? charged : charged.filter(({ group }) => group.countBackgroundMedia);
+    for (const charge of toCharges(counted)) {
+      if (!charges.some(c => c.groupId === charge.groupId)) charges.push(charge);
     }
   }
+  return { charges, blocked };
+}
 
-  if (!mostRestrictive || !bestDecision) {
-    return { status: 'default' };
-  }
+// The foreground tab's state, with background tab charges added for the
+// groups the foreground tab isn't already charging.
+async function resolveTrackingState() {
+  const { trackAllWindows } = await getSettings();
+  const foreground = await resolveForegroundTabState();
+  const background = await resolveBackgroundTabs(foreground.tabId ?? null, trackAllWindows);
+  const own = foreground.status === 'track' ? foreground.charges : [];
+  return {
+    ...foreground,
+    charges: [...own, ...background.charges.filter(charge => !own.some(c => c.groupId === charge.groupId))],
+    allWindows: trackAllWindows,
+    blockedBackgroundTabs: background.blocked,
+  };
+}
 
+// The session a resolved state calls for: the foreground tab's, if it's
+// being tracked, plus every charge.
+function sessionFor(resolvedState) {
+  const foreground = resolvedState.status === 'track';
   return {
-    status: 'track',
-    allowedSeconds: bestDecision.activeBlock.allowedMinutes * 60,
-    blockId: bestDecision.activeBlock.id,
-    dateStr: todayDateStr(),
-    groupId: mostRestrictive.id,
-    tabId: tab.id,
-    url,
-    windowId,
+    groupId: foreground ? resolvedState.groupId : null,
+    tabId: foreground ? resolvedState.tabId : null,
+    windowId: foreground ? resolvedState.windowId : null,
+    allWindows: resolvedState.allWindows,
+    charges: resolvedState.charges,
   };
 }
 
 function matchesTrackingSession(resolvedState) {
+  const session = sessionFor(resolvedState);
   return (
     !!trackingState &&
-    resolvedState.status === 'track' &&
-    trackingState.groupId === resolvedState.groupId &&
-    trackingState.blockId === resolvedState.blockId &&
-    trackingState.tabId === resolvedState.tabId &&
-    trackingState.windowId === resolvedState.windowId &&
-    trackingState.dateStr === resolvedState.dateStr
+    trackingState.groupId === session.groupId &&
+    trackingState.tabId === session.tabId &&
+    trackingState.windowId === session.windowId &&
+    trackingState.allWindows === session.allWindows &&
+    trackingState.charges.map(chargeKey).join('|') === session.charges.map(chargeKey).join('|')
   );
 }
 
-async function renderTrackingBadge(remainingSeconds) {
+// Keeps, restarts or stops the session so it matches the resolved state.
+async function syncTrackingSession(resolvedState) {
+  if (resolvedState.charges.length === 0) {
+    await stopTracking();
+  } else if (matchesTrackingSession(resolvedState)) {
+    syncAllowances(resolvedState);
+    await confirmSession();
+  } else {
+    await stopTracking();
+    await startTracking(sessionFor(resolvedState));
+  }
+}
+
+function syncAllowances(resolvedState) {
+  trackingState.charges.forEach((charge, i) => {
+    charge.allowedSeconds = resolvedState.charges[i].allowedSeconds;
+    charge.visitsLeft = resolvedState.charges[i].visitsLeft;
+  });
+}
+
+async function renderTrackingBadge(charge) {
+  const remainingSeconds = charge.allowedSeconds - charge.usedSeconds;
+  // A visit-limited window shows visits left (blue), unless a group or pool
+  // budget is down to its last minute.
+  if (charge.visitLimit && remainingSeconds > 60) {
+    await updateIcon('visits', String(charge.visitsLeft));
+    return;
+  }
   // State drives icon color: green (timer) for minutes, amber (urgent) for <60s.
   // The number itself is painted inside the circle — no separate badge.
   const state = remainingSeconds <= 60 ? 'urgent' : 'timer';
   await updateIcon(state, formatBadgeTime(remainingSeconds));
 }
 
+// During a focus session's work phase the idle and blocked icons give way to
+// the focus mark, so the session stays visible whatever tab is in front.
+async function updateIdleIcon(state) {
+  const session = await getFocusSession();
+  const focusing = session && session.phase === 'work' && Date.now() < session.phaseEndsAt;
+  await updateIcon(focusing ? 'focus' : state);
+}
+
 async function redirectTabToBlockedPage(tabId, group, decision, url) {
   const redirectUrl = buildBlockedRedirectUrl(group, decision, url);
   try {
@@ -212,8 +386,107 @@ async function redirectTabToBlockedPage(tabId, group, decision, url) {
   }
 }
 
+// ── Session Lifecycle ───────────────────────────────────────────────────
+
+// Picks up the session a stopped service worker left in session storage. The
+// next evaluation credits the time in between if the session is still
+// running, or up to now if it ended, since whatever ended it (a tab switch,
+// focus or idle change) is what woke the worker.
+function whenRestored() {
+  if (!restoring) {
+    restoring = getTrackingSession()
+      .then((session) => {
+        if (!session || trackingState) return;
+        trackingState = {
+          ...session,
+          // Infinity doesn't survive storage.
+          charges: session.charges.map(charge => ({ ...charge, allowedSeconds: charge.allowedSeconds ?? Infinity })),
+          intervalId: null,
+        };
+      })
+      .catch((e) => console.error('TimedFocus: Failed to restore tracking session:', e));
+  }
+  return restoring;
+}
+
+// Credits every charge with the whole seconds since accountedAt, up to
+// `until` but no further than MAX_UNSEEN_MS past lastSeenAt, and each pool
+// once for its members. Time past that cap is skipped, not credited later.
+// Returns the charges that ran out.
+function accrue(until) {
+  const end = Math.min(until, trackingState.lastSeenAt + MAX_UNSEEN_MS);
+  const seconds = Math.floor((end - trackingState.accountedAt) / 1000);
+  if (until > end) {
+    trackingState.accountedAt = Math.max(trackingState.accountedAt, until);
+  } else if (seconds > 0) {
+    trackingState.accountedAt += seconds * 1000;
+  }
+  if (seconds <= 0) return [];
+
+  const exhausted = [];
+  const poolSeconds = {};
+  for (const charge of trackingState.charges) {
+    const spent = Math.min(seconds, Math.max(0, charge.allowedSeconds - charge.usedSeconds));
+    if (spent === 0) continue;
+    charge.usedSeconds += spent;
+    if (charge.site) charge.siteSeconds += spent;
+    if (charge.cooldown) charge.sessionSeconds += spent;
+    if (charge.pool) poolSeconds[charge.pool.id] = Math.max(poolSeconds[charge.pool.id] || 0, spent);
+    if (charge.usedSeconds >= charge.allowedSeconds) exhausted.push(charge);
+  }
+  for (const pool of trackingState.pools) {
+    pool.usedSeconds += poolSeconds[pool.id] || 0;
+  }
+  return exhausted;
+}
+
+async function saveSession() {
+  const { intervalId, ...session } = trackingState;
+  await setTrackingSession(session);
+}
+
+// Arms the alarm for when the first charge with time left runs out, so the
+// session ends on time even if no tick is running.
+async function scheduleExhaustionAlarm() {
+  const remaining = trackingState.charges
+    .map(charge => charge.allowedSeconds - charge.usedSeconds)
+    .filter(seconds => seconds > 0 && Number.isFinite(seconds));
+  const exhaustsAt = remaining.length > 0 ? trackingState.accountedAt + Math.min(...remaining) * 1000 : null;
+  if (exhaustsAt === trackingState.exhaustsAt) return;
+
+  trackingState.exhaustsAt = exhaustsAt;
+  if (exhaustsAt === null) {
+    await chrome.alarms.clear(ALARM_TRACKING_EXHAUSTED);
+  } else {
+    await chrome.alarms.create(ALARM_TRACKING_EXHAUSTED, { when: exhaustsAt });
+  }
+}
+
+function startTicking() {
+  trackingState.intervalId = setInterval(() => {
+    if (tickInFlight) return;
+    tickInFlight = true;
+    tick().finally(() => {
+      tickInFlight = false;
+    });
+  }, 1000);
+}
+
+// The session was just found still running. A restored session has no timer
+// yet; its first tick credits the time since it was last accounted for, which
+// is why lastSeenAt is left for that tick to move on.
+async function confirmSession() {
+  if (!trackingState.intervalId) startTicking();
+  await saveSession();
+}
+
 export async function evaluateCurrentTab() {
-  const resolvedState = await resolveForegroundTabState();
+  await whenRestored();
+  const resolvedState = await resolveTrackingState();
+
+  for (const { tabId, group, decision, url } of resolvedState.blockedBackgroundTabs) {
+    await redirectTabToBlockedPage(tabId, group, decision, url);
+  }
 
   if (resolvedState.status === 'restore-original') {
     await stopTracking();
@@ -231,15 +504,37 @@ export async function evaluateCurrentTab() {
     return;
   }
 
+  if (resolvedState.status === 'track' && matchesTrackingSession(resolvedState)) {
+    syncAllowances(resolvedState);
+    await confirmSession();
+    const winning = getWinningCharge();
+
+    if (winning.usedSeconds >= winning.allowedSeconds) {
+      await stopTracking();
+      await rebuildAllRules();
+      await evaluateCurrentTab();
+      return;
+    }
+
+    await renderTrackingBadge(getBadgeCharge());
+    return;
+  }
+
+  // Background tabs may keep a session running whatever is in front.
+  await syncTrackingSession(resolvedState);
+
+  // With every window tracked, the icon keeps counting down for the tabs in
+  // other windows whatever is in front.
+  const countingElsewhere = !!trackingState && trackingState.allWindows;
+  if (countingElsewhere) await renderTrackingBadge(getBadgeCharge());
+
   if (resolvedState.status === 'blocked') {
-    await stopTracking();
-    await updateIcon('blocked');
+    if (!countingElsewhere) await updateIdleIcon('blocked');
     return;
   }
 
   if (resolvedState.status === 'redirect-blocked') {
-    await stopTracking();
-    await updateIcon('blocked');
+    if (!countingElsewhere) await updateIdleIcon('blocked');
     await redirectTabToBlockedPage(
       resolvedState.tabId,
       resolvedState.group,
@@ -249,98 +544,114 @@ export async function evaluateCurrentTab() {
     return;
   }
 
+  if (countingElsewhere) return;
+
   if (resolvedState.status === 'paused') {
-    await stopTracking();
     await updateIcon('paused');
     return;
   }
 
   if (resolvedState.status !== 'track') {
-    await stopTracking();
-    await updateIcon('default');
-    return;
+    await updateIdleIcon('default');
   }
+}
 
-  if (matchesTrackingSession(resolvedState)) {
-    trackingState.allowedSeconds = resolvedState.allowedSeconds;
-
-    if (trackingState.usedSeconds >= trackingState.allowedSeconds) {
-      await stopTracking();
-      await rebuildAllRules();
-      await evaluateCurrentTab();
-      return;
-    }
-
-    await renderTrackingBadge(trackingState.allowedSeconds - trackingState.usedSeconds);
-    return;
+async function startTracking({ groupId, charges, tabId, windowId, allWindows }) {
+  const now = Date.now();
+  const trackedCharges = [];
+  for (const charge of charges) {
+    const entry = await getTrackingEntry(charge.groupId, charge.dateStr, charge.blockId);
+    const siteSeconds = charge.site ? (entry.sites || {})[charge.site.id] || 0 : 0;
+    trackedCharges.push({ ...charge, usedSeconds: entry.usedSeconds, siteSeconds });
   }
 
-  await stopTracking();
-  await startTracking(
-    resolvedState.groupId,
-    resolvedState.blockId,
-    resolvedState.allowedSeconds / 60,
-    resolvedState.tabId,
-    resolvedState.windowId,
-    resolvedState.dateStr,
-  );
-}
-
-async function startTracking(groupId, blockId, allowedMinutes, tabId, windowId, dateStr) {
-  const entry = await getTrackingEntry(groupId, dateStr, blockId);
+  const trackedPools = [];
+  for (const { pool } of charges) {
+    if (!pool || trackedPools.some(p => p.id === pool.id)) continue;
+    const entry = await getPoolUsage(pool.id, pool.dateStr);
+    trackedPools.push({ ...pool, usedSeconds: entry.usedSeconds });
+  }
 
   trackingState = {
     groupId,
-    blockId,
-    usedSeconds: entry.usedSeconds,
-    allowedSeconds: allowedMinutes * 60,
+    charges: trackedCharges,
+    pools: trackedPools,
     tabId,
     windowId,
-    dateStr,
+    allWindows,
+    accountedAt: now,
+    lastSeenAt: now,
+    persistedAt: now,
+    exhaustsAt: null,
     intervalId: null,
   };
 
-  tickCounter = 0;
   tickInFlight = false;
-
-  // Start the tick interval
-  trackingState.intervalId = setInterval(() => {
-    if (tickInFlight) return;
-    tickInFlight = true;
-    tick().finally(() => {
-      tickInFlight = false;
-    });
-  }, 1000);
+  await saveSession();
+  await scheduleExhaustionAlarm();
+  startTicking();
 
   // Update icon immediately
-  await renderTrackingBadge(trackingState.allowedSeconds - trackingState.usedSeconds);
+  const badge = getBadgeCharge();
+  if (badge) await renderTrackingBadge(badge);
 }
 
-export async function stopTracking() {
+// Ends the session, crediting it up to `endedAt` — earlier than now when the
+// user went idle a while before Chrome noticed.
+export async function stopTracking(endedAt = Date.now()) {
+  await whenRestored();
   if (!trackingState) return;
 
   // Persist final state
+  accrue(endedAt);
   await persistTracking();
 
   if (trackingState.intervalId) {
     clearInterval(trackingState.intervalId);
   }
   trackingState = null;
-  tickCounter = 0;
   tickInFlight = false;
+  await clearTrackingSession();
+  await chrome.alarms.clear(ALARM_TRACKING_EXHAUSTED);
 }
 
 async function persistTracking() {
   if (!trackingState) return;
-  await setTrackingEntry(trackingState.groupId, trackingState.dateStr, trackingState.blockId, {
-    usedSeconds: trackingState.usedSeconds,
-  });
+  const now = Date.now();
+  for (const charge of trackingState.charges) {
+    // Visits are counted outside the tracker (see recordVisit) and other
+    // sites' seconds by other sessions, so keep them.
+    const entry = await getTrackingEntry(charge.groupId, charge.dateStr, charge.blockId);
+    await setTrackingEntry(charge.groupId, charge.dateStr, charge.blockId, {
+      ...entry,
+      usedSeconds: charge.usedSeconds,
+      ...(charge.visitLimit ? { lastSeenAt: now } : {}),
+      ...(charge.site ? { sites: { ...entry.sites, [charge.site.id]: charge.siteSeconds } } : {}),
+    });
+  }
+  for (const pool of trackingState.pools) {
+    await setPoolUsage(pool.id, pool.dateStr, { usedSeconds: pool.usedSeconds });
+  }
+  for (const { groupId, cooldown, sessionSeconds } of trackingState.charges) {
+    if (!cooldown) continue;
+    await setCooldownState(groupId, { sessionSeconds, lastSeenAt: now });
+    // A session that just reached its length starts the cooldown; its alarm
+    // lifts the block again.
+    if (sessionSeconds >= cooldown.sessionMinutes * 60) {
+      await chrome.alarms.create(`${ALARM_COOLDOWN_PREFIX}${groupId}`, {
+        when: now + cooldown.cooldownMinutes * 60 * 1000,
+      });
+    }
+  }
+  if (!trackingState) return;
+  trackingState.persistedAt = trackingState.accountedAt;
+  await saveSession();
 }
 
 async function tick() {
   if (!trackingState) return;
 
-  const resolvedState = await resolveForegroundTabState();
+  const resolvedState = await resolveTrackingState();
   if (!trackingState) return;
 
   if (!matchesTrackingSession(resolvedState)) {
@@ -349,23 +660,40 @@ async function tick() {
     return;
   }
 
-  trackingState.allowedSeconds = resolvedState.allowedSeconds;
+  syncAllowances(resolvedState);
+  // Undefined while only background tabs are charged.
+  const winning = getWinningCharge();
 
-  if (trackingState.usedSeconds >= trackingState.allowedSeconds) {
+  if (winning && winning.usedSeconds >= winning.allowedSeconds) {
     await stopTracking();
     await rebuildAllRules();
     await evaluateCurrentTab();
     return;
   }
 
-  trackingState.usedSeconds++;
-  tickCounter++;
+  // Every governing group with budget left pays for the time since the last
+  // tick — or, for a restored session, since the last service worker stopped.
+  // A group other than the winner can only run out here if the winner
+  // outranks it. The credit is capped against the previous lastSeenAt, so a
+  // gap while the machine slept counts MAX_UNSEEN_MS at most.
+  const now = Date.now();
+  const otherGroupExhausted = accrue(now).some(charge => charge !== winning);
+  trackingState.lastSeenAt = now;
 
-  const remaining = trackingState.allowedSeconds - trackingState.usedSeconds;
+  const remaining = winning ? winning.allowedSeconds - winning.usedSeconds : Infinity;
 
-  // Persist every 30 ticks (alarm also persists periodically)
-  if (tickCounter % 30 === 0) {
+  // Persist every 30 seconds (alarm also persists periodically)
+  if (trackingState.accountedAt - trackingState.persistedAt >= PERSIST_INTERVAL_MS || otherGroupExhausted) {
     await persistTracking();
+  } else {
+    await saveSession();
+  }
+  if (!trackingState) return;
+  await scheduleExhaustionAlarm();
+  if (otherGroupExhausted && remaining > 0) {
+    // Its rules change (e.g. a higher-priority group now overrides it); the
+    // next tick restarts tracking without it.
+    await rebuildAllRules();
   }
 
   if (remaining <= 0) {
@@ -374,7 +702,8 @@ async function tick() {
     const tabId = trackingState.tabId;
     const windowId = trackingState.windowId;
     const groupId = trackingState.groupId;
-    const allowedMinutes = Math.floor(trackingState.allowedSeconds / 60);
+    const { site } = winning;
+    const allowedMinutes = Math.floor(winning.allowedSeconds / 60);
 
     await stopTracking();
     await rebuildAllRules();
@@ -390,10 +719,12 @@ async function tick() {
       const tabUrl = context.tab.url || '';
       const group = (await getGroups()).find(g => g.id === groupId);
       const groupName = group ? group.name : 'Unknown';
+      // A budget ran out or a cooldown began; the fresh decision says which.
+      const decision = group ? await shouldGroupBlockNow(group, new Date(), site) : null;
       await redirectTabToBlockedPage(
         tabId,
         { id: groupId, name: groupName },
-        { reason: 'budget-exhausted', allowedMinutes },
+        decision && decision.block ? decision : { reason: 'budget-exhausted', allowedMinutes },
         tabUrl,
       );
     } catch (e) {
@@ -404,14 +735,56 @@ async function tick() {
     return;
   }
 
-  // Update icon — green circle (timer) for minutes, amber circle (urgent) for <60s.
-  const state = remaining <= 60 ? 'urgent' : 'timer';
-  await updateIcon(state, formatBadgeTime(remaining));
+  const badge = getBadgeCharge();
+  if (badge) await renderTrackingBadge(badge);
+}
+
+// Counts a navigation to `url` as a visit to each visit-limited window it
+// falls in, unless the window's sites were seen within its away time (the
+// tracker keeps lastSeenAt current while one is in the foreground). Returns
+// true if a visit was counted.
+export async function recordVisit(url, now = Date.now()) {
+  if (!url || isBlockedPageUrl(url) || isInternalUrl(url)) return false;
+
+  const { winner, charged } = await resolveUrl(url, await getGroups(), new Date(now));
+  if (!winner || winner.decision.block) return false;
+
+  let counted = false;
+  for (const { group, decision } of charged) {
+    if (!decision.visitLimit) continue;
+    const blockId = decision.activeBlock.id;
+    const entry = await getTrackingEntry(group.id, decision.dateStr, blockId);
+    const awayMs = decision.visitLimit.awayMinutes * 60 * 1000;
+    const isNewVisit = !entry.lastSeenAt || now - entry.lastSeenAt >= awayMs;
+    await setTrackingEntry(group.id, decision.dateStr, blockId, {
+      ...entry,
+      visits: (entry.visits || 0) + (isNewVisit ? 1 : 0),
+      lastSeenAt: now,
+    });
+    if (isNewVisit) counted = true;
+  }
+  return counted;
 }
 
 // Called by alarm handler to persist state periodically
 export async function onPersistAlarm() {
+  await whenRestored();
   if (trackingState) {
     await persistTracking();
   }
 }
+
+// A budget is due to run out (see scheduleExhaustionAlarm). The tick that
+// finds it has ends the session, even if the worker was stopped meanwhile and
+// no timer is running.
+export async function onExhaustionAlarm() {
+  await whenRestored();
+  if (!trackingState || tickInFlight) return;
+  trackingState.exhaustsAt = null;
+  tickInFlight = true;
+  try {
+    await tick();
+  } finally {
+    tickInFlight = false;
+  }
+}
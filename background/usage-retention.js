@@ -0,0 +1,100 @@
+// background/usage-retention.js — Rolls old daily usage into weekly and monthly history
+import {
+  getGroups, getPools, getSettings, formatDateStr, parseDateStr, sanitizeRetentionDays,
+  getOwnedEntries, removeEntries, getWeekDateStrs,
+  getUsageHistory, getPoolHistory, getWeeklyUsageHistory, getWeeklyPoolHistory,
+  getUsageCompactedThrough, saveUsageHistory,
+} from '../shared/storage.js';
+import { getTrackedBlockIds } from '../shared/group-manager.js';
+
+// Tracking, pool usage and pause counts are written daily. Once a day is
+// older than settings.retentionDays, its entries are added to its week's and
+// its month's history and removed; rollover credits that old are spent and simply
+// removed. Entries of deleted groups and pools go whatever their age, history
+// included, and so do recent rollover credits of deleted time blocks, which
+// no window can spend any more. Tracking of deleted time blocks stays until
+// it's old: weekly and daily budgets still count it.
+//
+// The history and the last compacted day are saved in one write before any
+// daily entry is removed, so a run cut short in between only leaves entries
+// that the next run removes without adding them again.
+//
+// Run after midnight, once rollovers are settled (they read the last week's
+// tracking).
+export async function compactUsageHistory(now = new Date()) {
+  const cutoff = parseDateStr(formatDateStr(now));
+  cutoff.setDate(cutoff.getDate() - sanitizeRetentionDays((await getSettings()).retentionDays));
+  const cutoffStr = formatDateStr(cutoff);
+  cutoff.setDate(cutoff.getDate() - 1);
+  const previouslyThrough = await getUsageCompactedThrough();
+  const compactedThrough = previouslyThrough && previouslyThrough > formatDateStr(cutoff)
+    ? previouslyThrough
+    : formatDateStr(cutoff);
+
+  const groups = new Map((await getGroups()).map(group => [group.id, group]));
+  const poolIds = new Set((await getPools()).map(pool => pool.id));
+  const blockIds = new Map([...groups.values()].map(group => [group.id, getTrackedBlockIds(group)]));
+
+  const stale = [];
+  // `${ownerId}::${period}` → seconds and pauses to add to that month or week
+  const groupMonths = new Map();
+  const groupWeeks = new Map();
+  const poolMonths = new Map();
+  const poolWeeks = new Map();
+  const addTo = (months, weeks, ownerId, dateStr, field, amount) => {
+    if (previouslyThrough && dateStr <= previouslyThrough) return;
+    for (const [periods, period] of [[months, dateStr.slice(0, 7)], [weeks, getWeekDateStrs(dateStr)[0]]]) {
+      const key = `${ownerId}::${period}`;
+      const totals = periods.get(key) || { usedSeconds: 0, pauses: 0 };
+      totals[field] += amount || 0;
+      periods.set(key, totals);
+    }
+  };
+
+  for (const { key, kind, ownerId, dateStr, blockId, value } of await getOwnedEntries()) {
+    if (kind === 'pool-usage' || kind === 'pool-history' || kind === 'pool-weekly') {
+      if (!poolIds.has(ownerId)) {
+        stale.push(key);
+      } else if (kind === 'pool-usage' && dateStr < cutoffStr) {
+        addTo(poolMonths, poolWeeks, ownerId, dateStr, 'usedSeconds', value.usedSeconds);
+        stale.push(key);
+      }
+      continue;
+    }
+
+    if (!groups.has(ownerId)) {
+      stale.push(key);
+      continue;
+    }
+    const old = dateStr !== null && dateStr < cutoffStr;
+    if (kind === 'tracking' && old) {
+      addTo(groupMonths, groupWeeks, ownerId, dateStr, 'usedSeconds', value.usedSeconds);
+      stale.push(key);
+    } else if (kind === 'pause-count' && old) {
+      addTo(groupMonths, groupWeeks, ownerId, dateStr, 'pauses', value.count);
+      stale.push(key);
+    } else if (kind === 'rollover' && (old || !blockIds.get(ownerId).includes(blockId))) {
+      stale.push(key);
+    }
+  }
+
+  // Adds each period's totals to what its history already holds.
+  const merge = async (periods, getHistory, withPauses) => {
+    const merged = [];
+    for (const [key, totals] of periods) {
+      const [ownerId, period] = key.split('::');
+      const history = await getHistory(ownerId, period);
+      const entry = { usedSeconds: history.usedSeconds + totals.usedSeconds };
+      if (withPauses) entry.pauses = history.pauses + totals.pauses;
+      merged.push({ ownerId, period, entry });
+    }
+    return merged;
+  };
+  await saveUsageHistory({
+    groupMonths: await merge(groupMonths, getUsageHistory, true),
+    groupWeeks: await merge(groupWeeks, getWeeklyUsageHistory, true),
+    poolMonths: await merge(poolMonths, getPoolHistory, false),
+    poolWeeks: await merge(poolWeeks, getWeeklyPoolHistory, false),
+  }, compactedThrough);
+  await removeEntries(stale);
+}
@@ -1,10 +1,13 @@
 // blocked/blocked.js — Block page logic
 
 const params = new URLSearchParams(window.location.search);
-const groupName = params.get('group') || 'Unknown Group';
-const groupId = params.get('groupId') || '';
-const reason = params.get('reason') || 'always-blocked';
-const allowedMinutes = params.get('allowedMinutes') || '';
+let groupName = params.get('group') || 'Unknown Group';
+let reason = params.get('reason') || 'always-blocked';
+let allowedMinutes = params.get('allowedMinutes') || '';
+let allowedVisits = params.get('allowedVisits') || '';
+let cooldownEndsAt = Number(params.get('cooldownEndsAt')) || null;
+let sitePattern = params.get('site') || '';
+let countdownTimer = null;
 
 // Load and display a random quote
 async function loadQuote() {
@@ -28,18 +31,79 @@ function displayReason() {
       el.textContent = 'Sites in this group are always blocked — no access windows have been set up.';
       break;
     case 'budget-exhausted':
+      if (sitePattern) {
+        el.textContent = `You've used the ${allowedMinutes} minute${allowedMinutes === '1' ? '' : 's'} ${sitePattern} gets in this window. The group's other sites are still open.`;
+        break;
+      }
       el.textContent = allowedMinutes
         ? `You've used your ${allowedMinutes} minute${allowedMinutes === '1' ? '' : 's'} of allowed time for today.`
         : "You've used all your allowed time for today.";
       break;
+    case 'daily-budget-exhausted':
+      el.textContent = allowedMinutes
+        ? `You've used this group's ${allowedMinutes} minute${allowedMinutes === '1' ? '' : 's'} for today, across all its windows.`
+        : "You've used all of this group's time for today.";
+      break;
+    case 'weekly-budget-exhausted':
+      el.textContent = allowedMinutes
+        ? `You've used your ${allowedMinutes} minute${allowedMinutes === '1' ? '' : 's'} of allowed time for this week.`
+        : "You've used all your allowed time for this week.";
+      break;
+    case 'visits-exhausted':
+      el.textContent = allowedVisits
+        ? `You've used your ${allowedVisits} visit${allowedVisits === '1' ? '' : 's'} for this window.`
+        : "You've used all your visits for this window.";
+      break;
+    case 'cooldown':
+      el.textContent = "You've been on this group's sites for a while without a break. Take one — they open again when the cooldown ends.";
+      break;
+    case 'pool-exhausted':
+      el.textContent = allowedMinutes
+        ? `You've used the ${allowedMinutes} minute${allowedMinutes === '1' ? '' : 's'} this group shares with others for today.`
+        : "You've used all the time this group shares with others for today.";
+      break;
     case 'outside-schedule':
       el.textContent = 'No access window is currently active for this group.';
       break;
+    case 'allowlist-active':
+      el.textContent = 'A focus window is active — only sites on the allowlist are open right now.';
+      break;
+    case 'focus-session':
+      el.textContent = "You're in a focus session — this group stays blocked until it ends or reaches a break.";
+      break;
+    case 'calendar-block':
+      el.textContent = 'A focus block from your calendar is running right now.';
+      break;
+    case 'override-blocked':
+      el.textContent = 'This group is blocked all day today by a schedule override.';
+      break;
     default:
       el.textContent = 'This site is currently blocked by Timed Focus.';
   }
 }
 
+// Count down to the end of a cooldown. The service worker lifts the block then,
+// and reopens the site if this tab is in front.
+function displayCountdown() {
+  const el = document.getElementById('countdownText');
+  clearInterval(countdownTimer);
+  if (reason !== 'cooldown' || !cooldownEndsAt) {
+    el.hidden = true;
+    return;
+  }
+
+  const render = () => {
+    const seconds = Math.max(0, Math.ceil((cooldownEndsAt - Date.now()) / 1000));
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    el.textContent = `${m}:${String(s).padStart(2, '0')}`;
+    if (seconds === 0) clearInterval(countdownTimer);
+  };
+  el.hidden = false;
+  render();
+  countdownTimer = setInterval(render, 1000);
+}
+
 // Display meta information
 function displayMeta() {
   // Try encoded url param first (from time-tracker paths)
@@ -82,9 +146,37 @@ function displayMeta() {
     });
   }
 
+  displayGroupName();
+  return originalUrl;
+}
+
+function displayGroupName() {
   document.getElementById('groupName').innerHTML = `Group: <strong>${escapeHtml(groupName)}</strong>`;
 }
 
+// The redirect names the group whose rule fired. When several groups cover the
+// URL, ask the service worker which one the shared resolution policy picks.
+async function displayResolvedGroup(originalUrl) {
+  if (!originalUrl) return;
+  let status;
+  try {
+    status = await chrome.runtime.sendMessage({ type: 'get-tab-status', url: originalUrl });
+  } catch {
+    return;
+  }
+  if (!status || !status.matched || !status.block) return;
+
+  groupName = status.groupName;
+  reason = status.reason;
+  allowedMinutes = status.allowedMinutes ? String(status.allowedMinutes) : '';
+  allowedVisits = status.allowedVisits ? String(status.allowedVisits) : '';
+  cooldownEndsAt = status.cooldownEndsAt || null;
+  sitePattern = status.sitePattern || '';
+  displayGroupName();
+  displayReason();
+  displayCountdown();
+}
+
 function escapeHtml(str) {
   const div = document.createElement('div');
   div.textContent = str;
@@ -100,4 +192,5 @@ document.getElementById('dashboardLink').addEventListener('click', (e) => {
 // Initialize
 loadQuote();
 displayReason();
-displayMeta();
+displayCountdown();
+displayResolvedGroup(displayMeta());
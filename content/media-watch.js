@@ -0,0 +1,49 @@
+// content/media-watch.js — Reports picture-in-picture windows to the service worker
+//
+// Chrome's tab objects say when a tab is audible, but not when one of its
+// videos (or the page itself, through Document Picture-in-Picture) is showing
+// in a floating window. This script tells the time tracker, which can then
+// charge that tab like a foreground one for groups that ask for it. It is only
+// injected while a group does (see syncMediaWatch in the service worker).
+
+// Both the registered script and the copy injected into pages already open
+// can reach a frame; one is enough.
+if (!globalThis.timedFocusMediaWatch) {
+  globalThis.timedFocusMediaWatch = true;
+
+  let reported = false;
+
+  function isInPictureInPicture() {
+    if (document.pictureInPictureElement) return true;
+    return !!(window.documentPictureInPicture && window.documentPictureInPicture.window);
+  }
+
+  function report() {
+    const active = isInPictureInPicture();
+    if (active === reported) return;
+    reported = active;
+    chrome.runtime.sendMessage({ type: 'pip-changed', active }).catch(() => {
+      // The extension was reloaded; this page's script is orphaned.
+    });
+  }
+
+  // Both bubble up from the video; capture them so a page can't stop them first.
+  document.addEventListener('enterpictureinpicture', report, true);
+  document.addEventListener('leavepictureinpicture', report, true);
+
+  if (window.documentPictureInPicture) {
+    window.documentPictureInPicture.addEventListener('enter', (event) => {
+      report();
+      event.window.addEventListener('pagehide', () => setTimeout(report, 0));
+    });
+  }
+
+  window.addEventListener('pagehide', () => {
+    if (!reported) return;
+    reported = false;
+    chrome.runtime.sendMessage({ type: 'pip-changed', active: false }).catch(() => {});
+  });
+
+  // Injected into a page that's already in picture-in-picture.
+  report();
+}
@@ -1,18 +1,27 @@
 // dashboard/dashboard.js — Dashboard UI logic
 import {
-  getGroups, onStorageChanged, todayDateStr, getAllTrackingForDate,
-  DEFAULT_DAILY_PAUSE_LIMIT, sanitizeDailyPauseLimit,
+  getGroups, onStorageChanged, todayDateStr, formatDateStr, getAllTrackingForDate,
+  DEFAULT_DAILY_PAUSE_LIMIT, sanitizeDailyPauseLimit, sanitizeGroupPriority, getRuleStatus,
+  sumTrackedSeconds, getWeekDateStrs, getRolloverEntry, parseDateStr,
+  getPools, getPoolUsage, getSettings, saveSettings, sanitizeRetentionDays, getStorageBytesInUse,
 } from '../shared/storage.js';
 import {
   createGroup, deleteGroup, updateGroup,
-  addSiteToGroup, removeSiteFromGroup,
+  addSiteToGroup, removeSiteFromGroup, getSiteCap, setSiteCap,
+  addExceptionToGroup, removeExceptionFromGroup,
   addTimeBlock, updateTimeBlock, removeTimeBlock,
-  normalizeSitePattern,
+  normalizeSitePattern, formatQueryConditions,
+  getWeeklyBudget, getDailyBudgetMinutes,
+  sanitizeRollover, getOverrideForDate, addOverride, updateOverride, removeOverride,
+  CALENDAR_IMPORT_DAYS, filterCalendarEvents, importBlockedPeriods, removeBlockedPeriodSource,
+  addStrictPeriod, updateStrictPeriod, removeStrictPeriod,
+  getPoolForGroup, createPool, updatePool, deletePool, sanitizeVisitLimit, getCooldown,
 } from '../shared/group-manager.js';
+import { getTimeBlocksForDate } from '../background/rule-engine.js';
+import { expandCalendar } from '../shared/ical.js';
 
 const DAY_LABELS = { mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat', sun: 'Sun' };
 const ALL_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
-const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
 
 const WINDOW_PRESETS = [
   { key: 'work',  label: 'Work hours',  range: '9–17',  start: '09:00', end: '17:00' },
@@ -22,22 +31,61 @@ const WINDOW_PRESETS = [
   { key: 'after', label: 'After-hours', range: '17–24', start: '17:00', end: '23:59' },
 ];
 const BUDGET_PRESETS = [15, 25, 45, 60, 120];
+const DEFAULT_ROLLOVER = { mode: 'none', percent: 50, maxMinutes: 15 };
+const DEFAULT_VISIT_LIMIT = { visits: 3, awayMinutes: 30 };
 const DAY_PRESETS = {
   weekdays: ['mon','tue','wed','thu','fri'],
   weekends: ['sat','sun'],
   everyday: ['mon','tue','wed','thu','fri','sat','sun'],
 };
 
+const REASON_LABELS = {
+  'always-blocked': 'Always blocked — no time windows set',
+  'outside-schedule': 'Outside allowed time windows',
+  'budget-exhausted': 'Time budget used up',
+  'daily-budget-exhausted': 'Daily budget used up',
+  'pool-exhausted': 'Shared pool used up',
+  'visits-exhausted': 'Visits used up',
+  'cooldown': 'Cooling down after a long session',
+  'weekly-budget-exhausted': 'Weekly budget used up',
+  'allowlist-active': 'Focus window — not on the allowlist',
+  'allowlist-inactive': 'No focus window active',
+  'calendar-block': 'Calendar focus block',
+  'focus-session': 'Focus session',
+  'override-blocked': 'Blocked all day by a schedule override',
+  'override-unblocked': 'Unblocked by a schedule override',
+  paused: 'Paused',
+  allowed: 'Allowed',
+};
+const CHANGE_CAUSE_LABELS = {
+  'time-window-boundary': 'a time window opens or closes',
+  'pause-ends': 'the pause ends',
+  'budget-runs-out-if-used': 'the budget runs out, if the site is used the whole time',
+  midnight: 'budgets reset at midnight',
+  'week-resets': 'the weekly budget resets',
+  'override-ends': 'the schedule override ends',
+  'calendar-block-ends': 'the calendar focus block ends',
+  'focus-phase-ends': 'the focus session moves on to its next phase or ends',
+  'last-visit-ends': 'the last allowed visit ends, if the site is left alone',
+  'cooldown-ends': 'the cooldown ends',
+  'cooldown-starts-if-used': 'a cooldown starts, if the site is used without a break',
+};
+
 let selectedGroupId = null;
 let groups = [];
+let pools = [];
 let editingBlockId = null;
 let nameDebounceTimer = null;
 let formState = null;
+let overrideFormState = null;
+let strictFormState = null;
+let calendarMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
 
 // ── Initialization ──────────────────────────────────────────────────────
 
 async function init() {
   groups = await getGroups();
+  pools = await getPools();
   renderSidebar();
 
   if (groups.length > 0) {
@@ -47,9 +95,18 @@ async function init() {
   }
 
   setupEventListeners();
+  renderRuleWarnings(await getRuleStatus());
 
   // Listen for storage changes from other contexts
   onStorageChanged((changes) => {
+    if (changes['rule-status']) {
+      renderRuleWarnings(changes['rule-status'].newValue);
+    }
+    if (changes.pools) {
+      pools = changes.pools.newValue || [];
+      const group = groups.find(g => g.id === selectedGroupId);
+      if (group && !changes.groups) renderGroupDetail(group);
+    }
     if (changes.groups) {
       groups = changes.groups.newValue || [];
       renderSidebar();
@@ -94,6 +151,40 @@ function setupEventListeners() {
     showSaved();
   });
 
+  document.getElementById('groupTypeSelect').addEventListener('change', async (e) => {
+    if (!selectedGroupId) return;
+    await updateGroup(selectedGroupId, { type: e.target.value });
+    showSaved();
+  });
+
+  document.getElementById('dailyBudgetInput').addEventListener('change', async (e) => {
+    if (!selectedGroupId) return;
+    const updated = await updateGroup(selectedGroupId, { dailyBudgetMinutes: e.target.value });
+    if (updated) renderGroupBudgets(updated);
+    showSaved();
+  });
+  document.getElementById('weeklyBudgetInput').addEventListener('change', handleWeeklyBudgetChange);
+  document.getElementById('weekStartSelect').addEventListener('change', handleWeeklyBudgetChange);
+  document.getElementById('backgroundMediaCheck').addEventListener('change', async (e) => {
+    if (!selectedGroupId) return;
+    await updateGroup(selectedGroupId, { countBackgroundMedia: e.target.checked });
+    showSaved();
+  });
+  document.getElementById('cooldownSessionInput').addEventListener('change', handleCooldownChange);
+  document.getElementById('cooldownBreakInput').addEventListener('change', handleCooldownChange);
+  document.getElementById('poolSelect').addEventListener('change', async (e) => {
+    if (!selectedGroupId) return;
+    await updateGroup(selectedGroupId, { poolId: e.target.value || null });
+    showSaved();
+  });
+  document.getElementById('createPoolBtn').addEventListener('click', handleCreatePool);
+
+  document.getElementById('groupPrioritySelect').addEventListener('change', async (e) => {
+    if (!selectedGroupId) return;
+    await updateGroup(selectedGroupId, { priority: Number(e.target.value) });
+    showSaved();
+  });
+
   // Delete group
   document.getElementById('deleteGroupBtn').addEventListener('click', () => {
     const group = groups.find(g => g.id === selectedGroupId);
@@ -127,6 +218,35 @@ function setupEventListeners() {
   document.getElementById('siteInput').addEventListener('keydown', (e) => {
     if (e.key === 'Enter') handleAddSite();
   });
+  document.getElementById('siteQueryInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleAddSite();
+  });
+
+  // Rule explainer
+  document.getElementById('openExplainerBtn').addEventListener('click', showExplainer);
+  document.getElementById('explainBtn').addEventListener('click', handleExplain);
+  document.getElementById('explainUrlInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleExplain();
+  });
+
+  // Settings
+  document.getElementById('openSettingsBtn').addEventListener('click', showSettings);
+  document.getElementById('trackAllWindowsCheck').addEventListener('change', async (e) => {
+    const settings = await getSettings();
+    await saveSettings({ ...settings, trackAllWindows: e.target.checked });
+    showSaved();
+  });
+  document.getElementById('retentionSelect').addEventListener('change', async (e) => {
+    const settings = await getSettings();
+    await saveSettings({ ...settings, retentionDays: sanitizeRetentionDays(e.target.value) });
+    showSaved();
+  });
+
+  // Add exception
+  document.getElementById('addExceptionBtn').addEventListener('click', handleAddException);
+  document.getElementById('exceptionInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleAddException();
+  });
 
   // Time block form
   buildStaticTimeBlockControls();
@@ -215,13 +335,131 @@ function setupEventListeners() {
   budgetInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') { e.preventDefault(); budgetInput.blur(); }
   });
+
+  // Schedule overrides
+  document.getElementById('calendarPrevBtn').addEventListener('click', () => {
+    calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() - 1, 1);
+    const group = groups.find(g => g.id === selectedGroupId);
+    if (group) renderOverrideCalendar(group);
+  });
+  document.getElementById('calendarNextBtn').addEventListener('click', () => {
+    calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + 1, 1);
+    const group = groups.find(g => g.id === selectedGroupId);
+    if (group) renderOverrideCalendar(group);
+  });
+  document.getElementById('calendarGrid').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-date]');
+    if (btn) handleCalendarDayClick(btn.dataset.date);
+  });
+
+  const rerenderOverrides = () => {
+    const group = groups.find(g => g.id === selectedGroupId);
+    if (group) renderOverrides(group);
+  };
+  document.getElementById('overrideStartInput').addEventListener('change', (e) => {
+    if (!overrideFormState || !e.target.value) return;
+    overrideFormState.startDate = e.target.value;
+    if (overrideFormState.endDate < e.target.value) overrideFormState.endDate = e.target.value;
+    overrideFormState.rangeAnchor = null;
+    rerenderOverrides();
+  });
+  document.getElementById('overrideEndInput').addEventListener('change', (e) => {
+    if (!overrideFormState || !e.target.value) return;
+    overrideFormState.endDate = e.target.value;
+    overrideFormState.rangeAnchor = null;
+    rerenderOverrides();
+  });
+  document.getElementById('overrideModeSelect').addEventListener('change', (e) => {
+    if (!overrideFormState) return;
+    overrideFormState.mode = e.target.value;
+    renderOverrideForm();
+  });
+  document.getElementById('overrideLabelInput').addEventListener('input', (e) => {
+    if (overrideFormState) overrideFormState.label = e.target.value;
+  });
+  document.getElementById('overrideWindowsList').addEventListener('input', (e) => {
+    const row = e.target.closest('[data-index]');
+    if (!row || !overrideFormState || !e.target.dataset.field) return;
+    const block = overrideFormState.timeBlocks[Number(row.dataset.index)];
+    block[e.target.dataset.field] = e.target.dataset.field === 'allowedMinutes'
+      ? parseInt(e.target.value, 10)
+      : e.target.value;
+  });
+  document.getElementById('overrideWindowsList').addEventListener('click', (e) => {
+    const row = e.target.closest('[data-index]');
+    if (!row || !overrideFormState || !e.target.closest('[data-remove-window]')) return;
+    overrideFormState.timeBlocks.splice(Number(row.dataset.index), 1);
+    renderOverrideForm();
+  });
+  document.getElementById('addOverrideWindowBtn').addEventListener('click', () => {
+    if (!overrideFormState) return;
+    overrideFormState.timeBlocks.push({ startTime: '12:00', endTime: '13:00', allDay: false, allowedMinutes: 30 });
+    renderOverrideForm();
+  });
+  document.getElementById('cancelOverrideBtn').addEventListener('click', closeOverrideForm);
+  document.getElementById('importIcsBtn').addEventListener('click', handleImportIcs);
+  document.getElementById('saveOverrideBtn').addEventListener('click', handleSaveOverride);
+  document.getElementById('removeOverrideBtn').addEventListener('click', () => {
+    if (overrideFormState && overrideFormState.editingId) handleRemoveOverride(overrideFormState.editingId);
+  });
+
+  document.getElementById('strictDayPills').addEventListener('click', (e) => {
+    const btn = e.target.closest('.day-pill');
+    if (!btn || !strictFormState) return;
+    const day = btn.dataset.day;
+    if (strictFormState.days.has(day)) strictFormState.days.delete(day);
+    else strictFormState.days.add(day);
+    renderStrictPeriodForm();
+  });
+  document.getElementById('strictStartInput').addEventListener('input', (e) => {
+    if (strictFormState) strictFormState.startTime = e.target.value;
+  });
+  document.getElementById('strictEndInput').addEventListener('input', (e) => {
+    if (strictFormState) strictFormState.endTime = e.target.value;
+  });
+  document.getElementById('addStrictPeriodBtn').addEventListener('click', () => openStrictPeriodForm(null));
+  document.getElementById('cancelStrictPeriodBtn').addEventListener('click', closeStrictPeriodForm);
+  document.getElementById('saveStrictPeriodBtn').addEventListener('click', handleSaveStrictPeriod);
+
+  document.getElementById('rolloverModeSelect').addEventListener('change', (e) => {
+    if (!formState) return;
+    formState.rollover.mode = e.target.value;
+    renderEditor();
+  });
+  document.getElementById('rolloverPercentInput').addEventListener('input', (e) => {
+    if (!formState) return;
+    formState.rollover.percent = parseInt(e.target.value, 10);
+    renderEditor();
+  });
+  document.getElementById('rolloverMaxInput').addEventListener('input', (e) => {
+    if (!formState) return;
+    formState.rollover.maxMinutes = parseInt(e.target.value, 10);
+    renderEditor();
+  });
+
+  document.getElementById('budgetTypeSelect').addEventListener('change', (e) => {
+    if (!formState) return;
+    formState.budgetType = e.target.value;
+    renderEditor();
+  });
+  document.getElementById('visitCountInput').addEventListener('input', (e) => {
+    if (!formState) return;
+    formState.visitLimit.visits = parseInt(e.target.value, 10);
+    renderEditor();
+  });
+  document.getElementById('visitAwayInput').addEventListener('input', (e) => {
+    if (!formState) return;
+    formState.visitLimit.awayMinutes = parseInt(e.target.value, 10);
+    renderEditor();
+  });
 }
 
 function buildStaticTimeBlockControls() {
-  const dayPills = document.getElementById('dayPills');
-  dayPills.innerHTML = ALL_DAYS.map(d =>
+  const dayPillsHtml = ALL_DAYS.map(d =>
     `<button type="button" class="day-pill" data-day="${d}">${DAY_LABELS[d]}</button>`
   ).join('');
+  document.getElementById('dayPills').innerHTML = dayPillsHtml;
+  document.getElementById('strictDayPills').innerHTML = dayPillsHtml;
 
   const windowPresets = document.getElementById('windowPresets');
   windowPresets.innerHTML = WINDOW_PRESETS.map(p =>
@@ -237,6 +475,17 @@ function buildStaticTimeBlockControls() {
   ).join('');
 }
 
+// ── Rule Warnings ───────────────────────────────────────────────────────
+
+function renderRuleWarnings(status) {
+  const container = document.getElementById('ruleWarnings');
+  const list = document.getElementById('ruleWarningsList');
+  const warnings = status && Array.isArray(status.warnings) ? status.warnings : [];
+
+  container.hidden = warnings.length === 0;
+  list.innerHTML = warnings.map(w => `<li>${escapeHtml(w.message)}</li>`).join('');
+}
+
 // ── Sidebar ─────────────────────────────────────────────────────────────
 
 function renderSidebar() {
@@ -264,6 +513,10 @@ function selectGroup(groupId) {
   if (!group) return;
 
   document.getElementById('emptyState').style.display = 'none';
+  document.getElementById('explainerView').style.display = 'none';
+  document.getElementById('openExplainerBtn').classList.remove('active');
+  document.getElementById('settingsView').style.display = 'none';
+  document.getElementById('openSettingsBtn').classList.remove('active');
   document.getElementById('groupDetail').style.display = 'flex';
 
   renderSidebar();
@@ -273,6 +526,46 @@ function selectGroup(groupId) {
 function showEmptyState() {
   document.getElementById('emptyState').style.display = 'block';
   document.getElementById('groupDetail').style.display = 'none';
+  document.getElementById('explainerView').style.display = 'none';
+  document.getElementById('openExplainerBtn').classList.remove('active');
+  document.getElementById('settingsView').style.display = 'none';
+  document.getElementById('openSettingsBtn').classList.remove('active');
+}
+
+function showExplainer() {
+  selectedGroupId = null;
+  renderSidebar();
+  document.getElementById('emptyState').style.display = 'none';
+  document.getElementById('groupDetail').style.display = 'none';
+  document.getElementById('settingsView').style.display = 'none';
+  document.getElementById('openSettingsBtn').classList.remove('active');
+  document.getElementById('explainerView').style.display = 'flex';
+  document.getElementById('openExplainerBtn').classList.add('active');
+  document.getElementById('explainUrlInput').focus();
+}
+
+async function showSettings() {
+  selectedGroupId = null;
+  renderSidebar();
+  document.getElementById('emptyState').style.display = 'none';
+  document.getElementById('groupDetail').style.display = 'none';
+  document.getElementById('explainerView').style.display = 'none';
+  document.getElementById('openExplainerBtn').classList.remove('active');
+  document.getElementById('settingsView').style.display = 'flex';
+  document.getElementById('openSettingsBtn').classList.add('active');
+  const settings = await getSettings();
+  document.getElementById('trackAllWindowsCheck').checked = settings.trackAllWindows;
+  document.getElementById('retentionSelect').value = String(sanitizeRetentionDays(settings.retentionDays));
+  const bytes = await getStorageBytesInUse();
+  const quota = chrome.storage.local.QUOTA_BYTES;
+  document.getElementById('storageUsedText').textContent =
+    `${formatBytes(bytes)} of ${formatBytes(quota)} of extension storage used.`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} bytes`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
 }
 
 // ── Group Detail Rendering ──────────────────────────────────────────────
@@ -284,11 +577,18 @@ async function renderGroupDetail(group) {
     group.pauseLimitPerDay ?? DEFAULT_DAILY_PAUSE_LIMIT,
   );
 
+  // Mode
+  renderGroupType(group);
+  document.getElementById('groupPrioritySelect').value = String(sanitizeGroupPriority(group.priority ?? 0));
+
   // Sites
   renderSiteChips(group);
+  renderSiteCaps(group);
+  renderExceptionChips(group);
 
   // Time blocks
   renderTimeBlocks(group);
+  renderGroupBudgets(group);
 
   // Hide the time block form
   document.getElementById('timeBlockForm').hidden = true;
@@ -296,10 +596,109 @@ async function renderGroupDetail(group) {
   editingBlockId = null;
   formState = null;
 
+  // Schedule overrides
+  overrideFormState = null;
+  renderOverrides(group);
+  renderCalendarBlocks(group);
+
+  // Strict periods
+  strictFormState = null;
+  renderStrictPeriods(group);
+
   // Usage
   await renderUsage(group);
 }
 
+function isAllowlist(group) {
+  return !!group && group.type === 'allowlist';
+}
+
+// Allowlist windows have no budget; otherwise the window budgets either
+// minutes (with an optional rollover) or visits.
+function renderBudgetBlocks(group) {
+  const allowlist = isAllowlist(group);
+  const visits = !!formState && formState.budgetType === 'visits';
+  document.getElementById('budgetTypeBlock').hidden = allowlist;
+  document.getElementById('budgetBlock').hidden = allowlist || visits;
+  document.getElementById('rolloverBlock').hidden = allowlist || visits;
+  document.getElementById('visitBlock').hidden = allowlist || !visits;
+}
+
+function renderGroupType(group) {
+  const allowlist = isAllowlist(group);
+  document.getElementById('groupTypeSelect').value = allowlist ? 'allowlist' : 'blocklist';
+  document.getElementById('groupTypeHelp').textContent = allowlist
+    ? 'During its focus windows (or always, with none set), every site except the ones listed is blocked.'
+    : 'The listed sites are blocked outside their allowed time windows and once the budget is spent.';
+  document.getElementById('sitesSectionTitle').textContent = allowlist ? 'Allowed Sites' : 'Blocked Sites';
+  document.getElementById('exceptionsBlock').hidden = allowlist;
+  document.getElementById('siteCapsBlock').hidden = allowlist;
+  document.getElementById('timeWindowsTitle').textContent = allowlist ? 'Focus Windows' : 'Allowed Time Windows';
+  renderBudgetBlocks(group);
+  const overrideModeSelect = document.getElementById('overrideModeSelect');
+  overrideModeSelect.querySelector('[value="windows"]').textContent =
+    allowlist ? 'Use these focus windows instead' : 'Use these windows instead';
+  overrideModeSelect.querySelector('[value="unblock"]').textContent =
+    allowlist ? 'Turn the allowlist off all day' : 'Unblock all day';
+  overrideModeSelect.querySelector('[value="block"]').textContent =
+    allowlist ? 'Enforce the allowlist all day' : 'Block all day';
+  document.getElementById('groupBudgetSection').hidden = allowlist;
+}
+
+function renderGroupBudgets(group) {
+  const dailyBudgetMinutes = getDailyBudgetMinutes(group);
+  document.getElementById('dailyBudgetInput').value = dailyBudgetMinutes ? String(dailyBudgetMinutes) : '';
+  const weeklyBudget = getWeeklyBudget(group);
+  document.getElementById('weeklyBudgetInput').value = weeklyBudget ? String(weeklyBudget.minutes) : '';
+  document.getElementById('weekStartSelect').value = weeklyBudget ? weeklyBudget.weekStart : 'mon';
+  document.getElementById('backgroundMediaCheck').checked = !!group.countBackgroundMedia;
+  const cooldown = getCooldown(group);
+  document.getElementById('cooldownSessionInput').value = cooldown ? String(cooldown.sessionMinutes) : '';
+  document.getElementById('cooldownBreakInput').value = cooldown ? String(cooldown.cooldownMinutes) : '';
+  renderPools(group);
+}
+
+function renderPools(group) {
+  const select = document.getElementById('poolSelect');
+  select.innerHTML = '<option value="">No shared pool</option>' + pools.map(pool =>
+    `<option value="${pool.id}">${escapeHtml(pool.name)} (${pool.minutesPerDay} min/day)</option>`
+  ).join('');
+  select.value = getPoolForGroup(group, pools) ? group.poolId : '';
+
+  const container = document.getElementById('poolsList');
+  container.innerHTML = '';
+  for (const pool of pools) {
+    const members = groups.filter(g => getPoolForGroup(g, pools) === pool).map(g => g.name);
+    const card = document.createElement('div');
+    card.className = 'time-block-card pool-card';
+    card.innerHTML = `
+      <div class="time-block-info">
+        <div class="time-block-days">${escapeHtml(pool.name)}</div>
+        <div class="time-block-time">${escapeHtml(members.length ? members.join(', ') : 'No groups yet')}</div>
+      </div>
+      <div class="time-block-actions">
+        <input type="number" class="minutes-input" min="1" step="5" value="${pool.minutesPerDay}"
+          aria-label="Minutes per day" />
+        <span class="budget-unit">min/day</span>
+        <button class="time-block-btn remove-block-btn">Remove</button>
+      </div>
+    `;
+    card.querySelector('input').addEventListener('change', async (e) => {
+      const result = await updatePool(pool.id, { minutesPerDay: e.target.value });
+      if (!result.success) {
+        e.target.value = pool.minutesPerDay;
+        return;
+      }
+      showSaved();
+    });
+    card.querySelector('.remove-block-btn').addEventListener('click', async () => {
+      await deletePool(pool.id);
+      showSaved();
+    });
+    container.appendChild(card);
+  }
+}
+
 function renderSiteChips(group) {
   const container = document.getElementById('siteChips');
   container.innerHTML = '';
@@ -307,8 +706,10 @@ function renderSiteChips(group) {
   group.sites.forEach(site => {
     const chip = document.createElement('span');
     chip.className = 'chip';
+    const query = formatQueryConditions(site.queryParams);
+    const cap = isAllowlist(group) ? null : getSiteCap(site);
     chip.innerHTML = `
-      ${escapeHtml(site.pattern)}
+      ${escapeHtml(site.pattern)}${query ? `<span class="chip-query">?${escapeHtml(query)}</span>` : ''}${cap ? `<span class="chip-query"> · max ${cap}m</span>` : ''}
       <button class="chip-remove" title="Remove">&times;</button>
     `;
     chip.querySelector('.chip-remove').addEventListener('click', async () => {
@@ -326,6 +727,58 @@ function renderSiteChips(group) {
   }
 }
 
+function renderSiteCaps(group) {
+  const container = document.getElementById('siteCapsList');
+  container.innerHTML = '';
+
+  group.sites.forEach(site => {
+    const query = formatQueryConditions(site.queryParams);
+    const cap = getSiteCap(site);
+    const row = document.createElement('label');
+    row.className = 'rollover-field site-cap-row';
+    row.innerHTML = `
+      <span class="site-cap-pattern">${escapeHtml(site.pattern)}${query ? `?${escapeHtml(query)}` : ''}</span>
+      <input type="number" min="0" step="5" placeholder="No cap" class="minutes-input" value="${cap || ''}" />
+      <span>min per window</span>
+    `;
+    row.querySelector('input').addEventListener('change', async (e) => {
+      await setSiteCap(group.id, site.id, e.target.value);
+      showSaved();
+    });
+    container.appendChild(row);
+  });
+
+  if (group.sites.length === 0) {
+    container.innerHTML = '<span class="usage-empty">Add a site above to cap it.</span>';
+  }
+}
+
+function renderExceptionChips(group) {
+  const container = document.getElementById('exceptionChips');
+  container.innerHTML = '';
+  const exceptions = group.exceptions || [];
+
+  exceptions.forEach(exception => {
+    const chip = document.createElement('span');
+    chip.className = 'chip';
+    chip.innerHTML = `
+      ${escapeHtml(exception.pattern)}
+      <button class="chip-remove" title="Remove">&times;</button>
+    `;
+    chip.querySelector('.chip-remove').addEventListener('click', async () => {
+      await removeExceptionFromGroup(group.id, exception.id);
+      groups = await getGroups();
+      renderGroupDetail(groups.find(g => g.id === group.id));
+      showSaved();
+    });
+    container.appendChild(chip);
+  });
+
+  if (exceptions.length === 0) {
+    container.innerHTML = '<span class="usage-empty">No exceptions.</span>';
+  }
+}
+
 function renderTimeBlocks(group) {
   const container = document.getElementById('timeBlocksList');
   container.innerHTML = '';
@@ -338,8 +791,14 @@ function renderTimeBlocks(group) {
     const daysStr = formatDayRange(block.days);
     const timeStr = block.allDay
       ? 'All day'
-      : `${block.startTime} → ${block.endTime}`;
-    const budgetStr = block.allDay ? '' : ` · ${block.allowedMinutes}m allowed`;
+      : `${block.startTime} → ${block.endTime}${isOvernight(block.startTime, block.endTime) ? ' (next day)' : ''}`;
+    const visitLimit = sanitizeVisitLimit(block.visitLimit);
+    let budgetStr = '';
+    if (visitLimit && !isAllowlist(group)) {
+      budgetStr = ` · ${formatVisitLimit(visitLimit)}`;
+    } else if (!block.allDay && !isAllowlist(group)) {
+      budgetStr = ` · ${block.allowedMinutes}m allowed${formatRollover(block.rollover)}`;
+    }
 
     card.innerHTML = `
       <div class="time-block-info">
@@ -374,51 +833,172 @@ function renderTimeBlocks(group) {
 async function renderUsage(group) {
   const container = document.getElementById('usageSection');
   container.innerHTML = '';
+  const now = new Date();
   const dateStr = todayDateStr();
-  const todayDay = DAY_NAMES[new Date().getDay()];
+  const yesterday = new Date(now);
+  yesterday.setDate(yesterday.getDate() - 1);
+  const yesterdayStr = formatDateStr(yesterday);
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
 
-  if (group.allowedTimeBlocks.length === 0) {
-    container.innerHTML = '<p class="usage-empty">No time windows configured.</p>';
+  if (isAllowlist(group)) {
+    container.innerHTML = '<p class="usage-empty">Allowlist groups have no time budget.</p>';
     return;
   }
 
-  const todaysBlocks = group.allowedTimeBlocks.filter(block => block.days.includes(todayDay));
-  if (todaysBlocks.length === 0) {
-    container.innerHTML = '<p class="usage-empty">No time windows active today.</p>';
+  const weeklyBudget = getWeeklyBudget(group);
+  if (weeklyBudget) {
+    const weekDates = getWeekDateStrs(dateStr, weeklyBudget.weekStart);
+    const usedSeconds = await sumTrackedSeconds(group.id, weekDates);
+    const since = DAY_LABELS[weeklyBudget.weekStart];
+    container.appendChild(createUsageBar(`This week (since ${since})`, usedSeconds, weeklyBudget.minutes));
+  }
+
+  const dailyBudgetMinutes = getDailyBudgetMinutes(group);
+  if (dailyBudgetMinutes) {
+    const usedSeconds = await sumTrackedSeconds(group.id, [dateStr]);
+    container.appendChild(createUsageBar('Today, all windows', usedSeconds, dailyBudgetMinutes));
+  }
+
+  const pool = getPoolForGroup(group, pools);
+  if (pool) {
+    const { usedSeconds } = await getPoolUsage(pool.id, dateStr);
+    container.appendChild(createUsageBar(`Today, shared pool "${pool.name}"`, usedSeconds, pool.minutesPerDay));
+  }
+
+  const override = getOverrideForDate(group, dateStr);
+  if (override && override.mode !== 'windows') {
+    container.insertAdjacentHTML('beforeend',
+      `<p class="usage-empty">${escapeHtml(describeOverride(override, group))} today (schedule override).</p>`);
     return;
   }
 
-  const trackingMap = await getAllTrackingForDate(dateStr);
+  if (group.allowedTimeBlocks.length === 0 && !override) {
+    if (!weeklyBudget && !dailyBudgetMinutes && !pool) {
+      container.innerHTML = '<p class="usage-empty">No time windows configured.</p>';
+    }
+    return;
+  }
 
-  for (const block of todaysBlocks) {
+  // Overnight windows that opened yesterday and are still running count as today's.
+  const windows = [
+    ...getTimeBlocksForDate(group, yesterday)
+      .filter(block => isOvernight(block.startTime, block.endTime) && nowMinutes <= timeToMinutes(block.endTime))
+      .map(block => ({ block, dateStr: yesterdayStr })),
+    ...getTimeBlocksForDate(group, now).map(block => ({ block, dateStr })),
+  ];
+  if (windows.length === 0) {
+    container.insertAdjacentHTML('beforeend', '<p class="usage-empty">No time windows active today.</p>');
+    return;
+  }
 
-    const trackingKey = `tracking::${group.id}::${dateStr}::${block.id}`;
-    const tracking = trackingMap[trackingKey] || { usedSeconds: 0 };
-    const usedMinutes = Math.round(tracking.usedSeconds / 60 * 10) / 10;
-    const pct = Math.min(100, (tracking.usedSeconds / (block.allowedMinutes * 60)) * 100);
+  const trackingMap = {
+    ...await getAllTrackingForDate(yesterdayStr),
+    ...await getAllTrackingForDate(dateStr),
+  };
 
-    const wrapper = document.createElement('div');
-    wrapper.className = 'usage-bar-wrapper';
+  for (const { block, dateStr: windowDateStr } of windows) {
 
+    const trackingKey = `tracking::${group.id}::${windowDateStr}::${block.id}`;
+    const tracking = trackingMap[trackingKey] || { usedSeconds: 0 };
     const timeStr = block.allDay ? 'All Day' : `${formatTime12h(block.startTime)} – ${formatTime12h(block.endTime)}`;
-    const fillClass = pct >= 100 ? 'danger' : pct >= 75 ? 'warning' : '';
-
-    wrapper.innerHTML = `
-      <div class="usage-label">
-        <span>${escapeHtml(timeStr)}</span>
-        <span>${usedMinutes} of ${block.allowedMinutes} min used</span>
-      </div>
-      <div class="usage-bar">
-        <div class="usage-bar-fill ${fillClass}" style="width:${pct}%"></div>
-      </div>
-    `;
+    const label = `${timeStr}${windowDateStr !== dateStr ? ' (since yesterday)' : ''}`;
+    const visitLimit = sanitizeVisitLimit(block.visitLimit);
+    if (visitLimit) {
+      container.appendChild(createVisitBar(label, tracking.visits || 0, visitLimit.visits));
+    } else {
+      const carried = await getRolloverEntry(group.id, windowDateStr, block.id);
+      container.appendChild(createUsageBar(label, tracking.usedSeconds, block.allowedMinutes, carried.minutes));
+    }
 
-    container.appendChild(wrapper);
+    for (const site of group.sites.filter(getSiteCap)) {
+      const siteSeconds = (tracking.sites || {})[site.id] || 0;
+      container.appendChild(createUsageBar(`${label} · ${site.pattern}`, siteSeconds, getSiteCap(site)));
+    }
   }
 }
 
+function createUsageBar(label, usedSeconds, allowedMinutes, carriedMinutes = 0) {
+  const usedMinutes = Math.round(usedSeconds / 60 * 10) / 10;
+  const totalMinutes = allowedMinutes + carriedMinutes;
+  const pct = Math.min(100, (usedSeconds / (totalMinutes * 60)) * 100);
+  const fillClass = pct >= 100 ? 'danger' : pct >= 75 ? 'warning' : '';
+  const allowedStr = carriedMinutes > 0
+    ? `${allowedMinutes} + ${carriedMinutes} carried over`
+    : `${allowedMinutes}`;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'usage-bar-wrapper';
+  wrapper.innerHTML = `
+    <div class="usage-label">
+      <span>${escapeHtml(label)}</span>
+      <span>${usedMinutes} of ${allowedStr} min used</span>
+    </div>
+    <div class="usage-bar">
+      <div class="usage-bar-fill ${fillClass}" style="width:${pct}%"></div>
+    </div>
+  `;
+  return wrapper;
+}
+
+function createVisitBar(label, visits, allowedVisits) {
+  const pct = Math.min(100, (visits / allowedVisits) * 100);
+  const fillClass = pct >= 100 ? 'danger' : pct >= 75 ? 'warning' : '';
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'usage-bar-wrapper';
+  wrapper.innerHTML = `
+    <div class="usage-label">
+      <span>${escapeHtml(label)}</span>
+      <span>${visits} of ${allowedVisits} visits</span>
+    </div>
+    <div class="usage-bar">
+      <div class="usage-bar-fill ${fillClass}" style="width:${pct}%"></div>
+    </div>
+  `;
+  return wrapper;
+}
+
 // ── Handlers ────────────────────────────────────────────────────────────
 
+async function handleCreatePool() {
+  const nameInput = document.getElementById('poolNameInput');
+  const minutesInput = document.getElementById('poolMinutesInput');
+  const errorEl = document.getElementById('poolError');
+  const result = await createPool(nameInput.value, minutesInput.value);
+  if (!result.success) {
+    errorEl.textContent = result.error;
+    return;
+  }
+  errorEl.textContent = '';
+  nameInput.value = '';
+  minutesInput.value = '';
+  if (selectedGroupId) await updateGroup(selectedGroupId, { poolId: result.pool.id });
+  showSaved();
+}
+
+async function handleWeeklyBudgetChange() {
+  if (!selectedGroupId) return;
+  const minutes = parseInt(document.getElementById('weeklyBudgetInput').value, 10);
+  const weekStart = document.getElementById('weekStartSelect').value;
+  const updated = await updateGroup(selectedGroupId, { weeklyBudget: { minutes, weekStart } });
+  if (updated) renderGroupBudgets(updated);
+  showSaved();
+}
+
+// A cooldown needs both fields. The first one entered waits for the second;
+// clearing either turns an existing cooldown off.
+async function handleCooldownChange() {
+  if (!selectedGroupId) return;
+  const group = groups.find(g => g.id === selectedGroupId);
+  const sessionMinutes = parseInt(document.getElementById('cooldownSessionInput').value, 10);
+  const cooldownMinutes = parseInt(document.getElementById('cooldownBreakInput').value, 10);
+  const complete = sessionMinutes > 0 && cooldownMinutes > 0;
+  if (!complete && group && !getCooldown(group)) return;
+  const updated = await updateGroup(selectedGroupId, { cooldown: { sessionMinutes, cooldownMinutes } });
+  if (updated) renderGroupBudgets(updated);
+  showSaved();
+}
+
 async function handleAddGroup() {
   const group = await createGroup('New Group');
   groups = await getGroups();
@@ -431,12 +1011,13 @@ async function handleAddGroup() {
 
 async function handleAddSite() {
   const input = document.getElementById('siteInput');
+  const queryInput = document.getElementById('siteQueryInput');
   const errorEl = document.getElementById('siteError');
   const raw = input.value.trim();
 
   if (!raw) return;
 
-  const result = await addSiteToGroup(selectedGroupId, raw);
+  const result = await addSiteToGroup(selectedGroupId, raw, queryInput.value);
   if (!result.success) {
     errorEl.textContent = result.error;
     return;
@@ -444,12 +1025,131 @@ async function handleAddSite() {
 
   errorEl.textContent = '';
   input.value = '';
+  queryInput.value = '';
   groups = await getGroups();
   renderSidebar();
   renderGroupDetail(groups.find(g => g.id === selectedGroupId));
   showSaved();
 }
 
+async function handleAddException() {
+  const input = document.getElementById('exceptionInput');
+  const errorEl = document.getElementById('exceptionError');
+  const raw = input.value.trim();
+
+  if (!raw) return;
+
+  const result = await addExceptionToGroup(selectedGroupId, raw);
+  if (!result.success) {
+    errorEl.textContent = result.error;
+    return;
+  }
+
+  errorEl.textContent = '';
+  input.value = '';
+  groups = await getGroups();
+  renderGroupDetail(groups.find(g => g.id === selectedGroupId));
+  showSaved();
+}
+
+// ── Rule Explainer ──────────────────────────────────────────────────────
+
+async function handleExplain() {
+  const url = document.getElementById('explainUrlInput').value.trim();
+  const atValue = document.getElementById('explainAtInput').value;
+  const errorEl = document.getElementById('explainError');
+  const resultEl = document.getElementById('explainResult');
+  if (!url) return;
+
+  const at = atValue ? new Date(atValue).getTime() : null;
+  const explanation = await chrome.runtime.sendMessage({ type: 'explain-url', url, at });
+  if (!explanation || !explanation.ok) {
+    errorEl.textContent = explanation?.error || 'Could not evaluate this URL.';
+    resultEl.innerHTML = '';
+    return;
+  }
+
+  errorEl.textContent = '';
+  renderExplanation(explanation);
+}
+
+function describeDecision(decision) {
+  const label = REASON_LABELS[decision.reason] || decision.reason;
+  if (decision.reason === 'pool-exhausted') {
+    return `${label} (${decision.poolName}, ${decision.allowedMinutes} min)`;
+  }
+  if (decision.reason === 'budget-exhausted' && decision.sitePattern) {
+    return `${label} on ${decision.sitePattern} (its own ${decision.allowedMinutes} min cap)`;
+  }
+  if (['budget-exhausted', 'daily-budget-exhausted', 'weekly-budget-exhausted'].includes(decision.reason)) {
+    return `${label} (${decision.allowedMinutes} min)`;
+  }
+  if (decision.reason === 'visits-exhausted') return `${label} (${decision.allowedVisits} per window)`;
+  if (decision.reason === 'allowed' && decision.visitLimit) {
+    return decision.visitsLeft > 0
+      ? `${label} — ${decision.visitsLeft} of ${decision.visitLimit.visits} visits left`
+      : `${label} — last visit, which ends ${decision.visitLimit.awayMinutes} min after leaving the site`;
+  }
+  if (decision.reason === 'allowed') return `${label} — ${formatSeconds(decision.remainingSeconds)} of budget left`;
+  if (decision.reason === 'paused') return `${label} until ${formatDateTime(decision.pausedUntil)}`;
+  if (decision.reason === 'cooldown') return `${label} until ${formatDateTime(decision.cooldownEndsAt)}`;
+  return label;
+}
+
+function describeChange(nextChange) {
+  if (!nextChange) return 'Does not change on its own.';
+  return `Next change ${formatDateTime(nextChange.at)}, when ${CHANGE_CAUSE_LABELS[nextChange.cause] || nextChange.cause}.`;
+}
+
+function renderExplanation(explanation) {
+  const resultEl = document.getElementById('explainResult');
+  const { winner, evaluations, firingRule } = explanation;
+  const blocked = !!winner && winner.decision.block;
+  const dotClass = blocked ? 'blocked' : winner?.decision.reason === 'paused' ? 'paused' : '';
+
+  let summary;
+  if (!winner) {
+    summary = 'Not blocked — no group covers this URL';
+  } else if (blocked) {
+    summary = `Blocked by ${winner.groupName}`;
+  } else {
+    summary = `Not blocked — ${winner.groupName}: ${REASON_LABELS[winner.decision.reason] || winner.decision.reason}`;
+  }
+
+  const groupsHtml = evaluations.length === 0
+    ? '<p class="usage-empty">No group matches this URL.</p>'
+    : evaluations.map(e => `
+      <div class="explain-group">
+        <div><span class="explain-group-name">${escapeHtml(e.groupName)}</span>${e.type === 'allowlist' ? ' (allowlist)' : ''}${e.priority > 0 ? ` — priority ${e.priority}` : ''}${e.governs ? '' : ' — does not apply'}</div>
+        ${e.matchedSites.length ? `<div>Matched ${e.type === 'allowlist' ? 'allowed site' : 'pattern'}: ${e.matchedSites.map(p => `<code>${escapeHtml(p)}</code>`).join(', ')}</div>` : ''}
+        ${e.matchedExceptions.length ? `<div>Matched exception: ${e.matchedExceptions.map(p => `<code>${escapeHtml(p)}</code>`).join(', ')}</div>` : ''}
+        <div>Decision: ${escapeHtml(describeDecision(e.decision))}</div>
+        <div>${escapeHtml(describeChange(e.nextChange))}</div>
+        ${explanation.chargedGroupIds.includes(e.groupId) ? '<div>Time spent here counts toward this group.</div>' : ''}
+      </div>
+    `).join('');
+
+  resultEl.innerHTML = `
+    <section class="detail-section">
+      <h2>Result for ${escapeHtml(formatDateTime(explanation.at))}</h2>
+      <div class="explain-summary"><span class="explain-dot ${dotClass}"></span>${escapeHtml(summary)}</div>
+      <div class="explain-meta">
+        ${winner ? `<div>${escapeHtml(describeDecision(winner.decision))}</div><div>${escapeHtml(describeChange(winner.nextChange))}</div>` : ''}
+      </div>
+    </section>
+    <section class="detail-section">
+      <h2>Groups</h2>
+      ${groupsHtml}
+    </section>
+    <section class="detail-section">
+      <h2>Browser Rule</h2>
+      ${firingRule
+        ? `<pre class="explain-rule">${escapeHtml(JSON.stringify(firingRule, null, 2))}</pre>`
+        : '<p class="usage-empty">No declarativeNetRequest rule matches this URL at that time.</p>'}
+    </section>
+  `;
+}
+
 function openTimeBlockForm(block, index) {
   if (block) {
     editingBlockId = block.id;
@@ -459,6 +1159,9 @@ function openTimeBlockForm(block, index) {
       endTime: block.endTime || '12:00',
       allDay: !!block.allDay,
       allowedMinutes: block.allowedMinutes || 25,
+      rollover: { ...DEFAULT_ROLLOVER, ...sanitizeRollover(block.rollover) },
+      budgetType: sanitizeVisitLimit(block.visitLimit) ? 'visits' : 'minutes',
+      visitLimit: { ...DEFAULT_VISIT_LIMIT, ...sanitizeVisitLimit(block.visitLimit) },
       editingIndex: typeof index === 'number' ? index : null,
     };
   } else {
@@ -469,6 +1172,9 @@ function openTimeBlockForm(block, index) {
       endTime: '12:00',
       allDay: false,
       allowedMinutes: 25,
+      rollover: { ...DEFAULT_ROLLOVER },
+      budgetType: 'minutes',
+      visitLimit: { ...DEFAULT_VISIT_LIMIT },
       editingIndex: null,
     };
   }
@@ -537,8 +1243,30 @@ function renderEditor() {
     chip.classList.toggle('active', parseInt(chip.dataset.budget, 10) === formState.allowedMinutes);
   });
 
-  // Header status: "Editing window X of N" or "New window · X of N+1"
+  // Budget type + visit budget
   const group = groups.find(g => g.id === selectedGroupId);
+  renderBudgetBlocks(group);
+  document.getElementById('budgetTypeSelect').value = formState.budgetType;
+  const visitCountInput = document.getElementById('visitCountInput');
+  const visitAwayInput = document.getElementById('visitAwayInput');
+  if (document.activeElement !== visitCountInput) {
+    visitCountInput.value = String(formState.visitLimit.visits || '');
+  }
+  if (document.activeElement !== visitAwayInput) {
+    visitAwayInput.value = String(formState.visitLimit.awayMinutes || '');
+  }
+
+  // Rollover policy
+  const { rollover } = formState;
+  document.getElementById('rolloverModeSelect').value = rollover.mode;
+  document.getElementById('rolloverPercentField').hidden = rollover.mode !== 'percent';
+  document.getElementById('rolloverMaxField').hidden = rollover.mode === 'none';
+  const percentInput = document.getElementById('rolloverPercentInput');
+  const maxInput = document.getElementById('rolloverMaxInput');
+  if (document.activeElement !== percentInput) percentInput.value = String(rollover.percent || '');
+  if (document.activeElement !== maxInput) maxInput.value = String(rollover.maxMinutes || '');
+
+  // Header status: "Editing window X of N" or "New window · X of N+1"
   const total = group ? group.allowedTimeBlocks.length : 0;
   const statusEl = document.getElementById('windowEditorStatus');
   if (editingBlockId && formState.editingIndex !== null) {
@@ -564,10 +1292,18 @@ function renderEditor() {
 
 function validateFormState(state) {
   if (state.days.size === 0) return 'Select at least one day';
+  if (state.budgetType === 'visits' && !sanitizeVisitLimit(state.visitLimit)) {
+    return 'Enter how many visits and how long away starts a new one';
+  }
+  if (state.budgetType !== 'visits' && state.rollover.mode !== 'none' && !sanitizeRollover(state.rollover)) {
+    return state.rollover.mode === 'percent'
+      ? 'Enter a carry-over percentage and limit'
+      : 'Enter a carry-over limit';
+  }
   if (!state.allDay) {
     const s = timeToMinutes(state.startTime);
     const e = timeToMinutes(state.endTime);
-    if (e <= s) return 'End must be after start';
+    if (e === s) return 'Start and end must differ';
   }
   return null;
 }
@@ -581,6 +1317,13 @@ async function handleSaveTimeBlock() {
   const config = formState.allDay
     ? { days: orderedDays, allDay: true, startTime: '00:00', endTime: '23:59', allowedMinutes: formState.allowedMinutes }
     : { days: orderedDays, allDay: false, startTime: formState.startTime, endTime: formState.endTime, allowedMinutes: formState.allowedMinutes };
+  if (formState.budgetType === 'visits') {
+    config.visitLimit = sanitizeVisitLimit(formState.visitLimit);
+    config.rollover = null;
+  } else {
+    config.visitLimit = null;
+    config.rollover = sanitizeRollover(formState.rollover);
+  }
 
   if (editingBlockId) {
     await updateTimeBlock(selectedGroupId, editingBlockId, config);
@@ -598,6 +1341,372 @@ async function handleSaveTimeBlock() {
   showSaved();
 }
 
+// ── Schedule Overrides ──────────────────────────────────────────────────
+
+const MONTH_FORMAT = { month: 'long', year: 'numeric' };
+const OVERRIDE_DATE_FORMAT = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+
+function renderOverrides(group) {
+  renderOverrideCalendar(group);
+  renderOverrideList(group);
+  document.getElementById('overrideForm').hidden = !overrideFormState;
+  if (overrideFormState) renderOverrideForm();
+}
+
+function renderOverrideCalendar(group) {
+  const first = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth(), 1);
+  document.getElementById('calendarTitle').textContent = first.toLocaleDateString([], MONTH_FORMAT);
+
+  const todayStr = todayDateStr();
+  const cells = ALL_DAYS.map(d => `<span class="calendar-weekday">${DAY_LABELS[d]}</span>`);
+  // Weeks start on Monday, like the day pills.
+  const leading = (first.getDay() + 6) % 7;
+  for (let i = 0; i < leading; i++) cells.push('<span></span>');
+
+  const day = new Date(first);
+  while (day.getMonth() === first.getMonth()) {
+    const dateStr = formatDateStr(day);
+    const override = getOverrideForDate(group, dateStr);
+    const classes = ['calendar-day'];
+    if (override) classes.push(`override-${override.mode}`);
+    if (dateStr === todayStr) classes.push('today');
+    if (overrideFormState && overrideFormState.startDate <= dateStr && dateStr <= overrideFormState.endDate) {
+      classes.push('selected');
+    }
+    const title = override ? describeOverride(override, group) : '';
+    cells.push(
+      `<button type="button" class="${classes.join(' ')}" data-date="${dateStr}" title="${escapeHtml(title)}">${day.getDate()}</button>`
+    );
+    day.setDate(day.getDate() + 1);
+  }
+  document.getElementById('calendarGrid').innerHTML = cells.join('');
+}
+
+function renderOverrideList(group) {
+  const container = document.getElementById('overridesList');
+  container.innerHTML = '';
+  const todayStr = todayDateStr();
+
+  for (const override of group.overrides || []) {
+    const card = document.createElement('div');
+    card.className = 'time-block-card';
+    if (overrideFormState && overrideFormState.editingId === override.id) card.classList.add('editing');
+    if (override.endDate < todayStr) card.classList.add('past');
+
+    const title = override.label ? `${formatOverrideDates(override)} · ${override.label}` : formatOverrideDates(override);
+    card.innerHTML = `
+      <div class="time-block-info">
+        <div class="time-block-days">${escapeHtml(title)}</div>
+        <div class="time-block-time">${escapeHtml(describeOverride(override, group))}</div>
+      </div>
+      <div class="time-block-actions">
+        <button class="time-block-btn edit-block-btn">Edit</button>
+        <button class="time-block-btn remove-block-btn">Remove</button>
+      </div>
+    `;
+    card.querySelector('.edit-block-btn').addEventListener('click', () => openOverrideForm(override));
+    card.querySelector('.remove-block-btn').addEventListener('click', () => handleRemoveOverride(override.id));
+    container.appendChild(card);
+  }
+}
+
+function openOverrideForm(override, dateStr) {
+  overrideFormState = override
+    ? {
+        editingId: override.id,
+        startDate: override.startDate,
+        endDate: override.endDate,
+        mode: override.mode,
+        label: override.label || '',
+        timeBlocks: override.timeBlocks.map(block => ({ ...block })),
+        rangeAnchor: null,
+      }
+    : {
+        editingId: null,
+        startDate: dateStr,
+        endDate: dateStr,
+        mode: 'windows',
+        label: '',
+        timeBlocks: [{ startTime: '12:00', endTime: '13:00', allDay: false, allowedMinutes: 30 }],
+        rangeAnchor: dateStr,
+      };
+  document.getElementById('overrideError').textContent = '';
+  const anchor = parseDateStr(overrideFormState.startDate);
+  calendarMonth = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const group = groups.find(g => g.id === selectedGroupId);
+  if (group) renderOverrides(group);
+}
+
+function closeOverrideForm() {
+  overrideFormState = null;
+  const group = groups.find(g => g.id === selectedGroupId);
+  if (group) renderOverrides(group);
+}
+
+function renderOverrideForm() {
+  const state = overrideFormState;
+  const allowlist = isAllowlist(groups.find(g => g.id === selectedGroupId));
+  document.getElementById('overrideStartInput').value = state.startDate;
+  document.getElementById('overrideEndInput').value = state.endDate;
+  document.getElementById('overrideModeSelect').value = state.mode;
+  const labelInput = document.getElementById('overrideLabelInput');
+  if (document.activeElement !== labelInput) labelInput.value = state.label;
+  document.getElementById('removeOverrideBtn').hidden = !state.editingId;
+  document.getElementById('overrideWindowsBlock').hidden = state.mode !== 'windows';
+
+  const list = document.getElementById('overrideWindowsList');
+  if (list.contains(document.activeElement)) return;
+  list.innerHTML = state.timeBlocks.map((block, index) => `
+    <div class="override-window-row" data-index="${index}">
+      <input type="time" data-field="startTime" value="${block.startTime}" aria-label="Start" />
+      <span class="arrow">→</span>
+      <input type="time" data-field="endTime" value="${block.endTime}" aria-label="End" />
+      ${allowlist ? '' : `
+        <input type="number" data-field="allowedMinutes" class="minutes-input" min="1" max="1440"
+          value="${block.allowedMinutes}" aria-label="Allowed minutes" />
+        <span class="budget-unit">min</span>`}
+      <button type="button" class="time-block-btn remove-block-btn" data-remove-window>Remove</button>
+    </div>
+  `).join('');
+}
+
+function handleCalendarDayClick(dateStr) {
+  const group = groups.find(g => g.id === selectedGroupId);
+  if (!group) return;
+
+  // A second click on a new override's calendar extends it into a range.
+  if (overrideFormState && overrideFormState.rangeAnchor) {
+    const anchor = overrideFormState.rangeAnchor;
+    overrideFormState.startDate = dateStr < anchor ? dateStr : anchor;
+    overrideFormState.endDate = dateStr < anchor ? anchor : dateStr;
+    overrideFormState.rangeAnchor = null;
+    renderOverrides(group);
+    return;
+  }
+
+  const override = getOverrideForDate(group, dateStr);
+  openOverrideForm(override, dateStr);
+}
+
+async function handleSaveOverride() {
+  if (!overrideFormState) return;
+  const { editingId, startDate, endDate, mode, label, timeBlocks } = overrideFormState;
+  const config = { startDate, endDate, mode, label, timeBlocks };
+  const result = editingId
+    ? await updateOverride(selectedGroupId, editingId, config)
+    : await addOverride(selectedGroupId, config);
+  if (!result.success) {
+    document.getElementById('overrideError').textContent = result.error;
+    return;
+  }
+
+  overrideFormState = null;
+  groups = await getGroups();
+  renderGroupDetail(groups.find(g => g.id === selectedGroupId));
+  showSaved();
+}
+
+async function handleRemoveOverride(overrideId) {
+  await removeOverride(selectedGroupId, overrideId);
+  if (overrideFormState && overrideFormState.editingId === overrideId) overrideFormState = null;
+  groups = await getGroups();
+  renderGroupDetail(groups.find(g => g.id === selectedGroupId));
+  showSaved();
+}
+
+function formatOverrideDates(override) {
+  const start = parseDateStr(override.startDate).toLocaleDateString([], OVERRIDE_DATE_FORMAT);
+  if (override.endDate === override.startDate) return start;
+  return `${start} – ${parseDateStr(override.endDate).toLocaleDateString([], OVERRIDE_DATE_FORMAT)}`;
+}
+
+function describeOverride(override, group) {
+  const allowlist = isAllowlist(group);
+  if (override.mode === 'unblock') return allowlist ? 'Allowlist off all day' : 'Unblocked all day';
+  if (override.mode === 'block') return allowlist ? 'Allowlist enforced all day' : 'Blocked all day';
+  const windows = override.timeBlocks.map(block => {
+    const range = block.allDay
+      ? 'All day'
+      : `${block.startTime} → ${block.endTime}${isOvernight(block.startTime, block.endTime) ? ' (next day)' : ''}`;
+    return allowlist ? range : `${range} · ${block.allowedMinutes}m allowed`;
+  });
+  return `${allowlist ? 'Focus windows' : 'Windows'}: ${windows.join(', ')}`;
+}
+
+// ── Strict Periods ──────────────────────────────────────────────────────
+
+function renderStrictPeriods(group) {
+  const container = document.getElementById('strictPeriodsList');
+  container.innerHTML = '';
+
+  for (const period of group.strictPeriods || []) {
+    const card = document.createElement('div');
+    card.className = 'time-block-card';
+    if (strictFormState && strictFormState.editingId === period.id) card.classList.add('editing');
+
+    const timeStr = `${period.startTime} → ${period.endTime}${isOvernight(period.startTime, period.endTime) ? ' (next day)' : ''}`;
+    card.innerHTML = `
+      <div class="time-block-info">
+        <div class="time-block-days">${escapeHtml(formatDayRange(period.days))}</div>
+        <div class="time-block-time">${escapeHtml(`${timeStr} · no pauses`)}</div>
+      </div>
+      <div class="time-block-actions">
+        <button class="time-block-btn edit-block-btn">Edit</button>
+        <button class="time-block-btn remove-block-btn">Remove</button>
+      </div>
+    `;
+    card.querySelector('.edit-block-btn').addEventListener('click', () => openStrictPeriodForm(period));
+    card.querySelector('.remove-block-btn').addEventListener('click', async () => {
+      await removeStrictPeriod(group.id, period.id);
+      if (strictFormState && strictFormState.editingId === period.id) strictFormState = null;
+      groups = await getGroups();
+      renderGroupDetail(groups.find(g => g.id === group.id));
+      showSaved();
+    });
+    container.appendChild(card);
+  }
+
+  document.getElementById('strictPeriodForm').hidden = !strictFormState;
+  document.getElementById('addStrictPeriodBtn').style.display = strictFormState ? 'none' : '';
+  if (strictFormState) renderStrictPeriodForm();
+}
+
+function openStrictPeriodForm(period) {
+  strictFormState = period
+    ? {
+        editingId: period.id,
+        days: new Set(period.days),
+        startTime: period.startTime,
+        endTime: period.endTime,
+      }
+    : {
+        editingId: null,
+        days: new Set(DAY_PRESETS.weekdays),
+        startTime: '09:00',
+        endTime: '12:00',
+      };
+  document.getElementById('strictPeriodError').textContent = '';
+  const group = groups.find(g => g.id === selectedGroupId);
+  if (group) renderStrictPeriods(group);
+}
+
+function closeStrictPeriodForm() {
+  strictFormState = null;
+  const group = groups.find(g => g.id === selectedGroupId);
+  if (group) renderStrictPeriods(group);
+}
+
+function renderStrictPeriodForm() {
+  document.querySelectorAll('#strictDayPills .day-pill').forEach(pill => {
+    pill.classList.toggle('active', strictFormState.days.has(pill.dataset.day));
+  });
+  document.getElementById('strictStartInput').value = strictFormState.startTime;
+  document.getElementById('strictEndInput').value = strictFormState.endTime;
+}
+
+async function handleSaveStrictPeriod() {
+  if (!strictFormState) return;
+  const { editingId, days, startTime, endTime } = strictFormState;
+  const config = { days: [...days], startTime, endTime };
+  const result = editingId
+    ? await updateStrictPeriod(selectedGroupId, editingId, config)
+    : await addStrictPeriod(selectedGroupId, config);
+  if (!result.success) {
+    document.getElementById('strictPeriodError').textContent = result.error;
+    return;
+  }
+
+  strictFormState = null;
+  groups = await getGroups();
+  renderGroupDetail(groups.find(g => g.id === selectedGroupId));
+  showSaved();
+}
+
+// ── Calendar Focus Blocks ───────────────────────────────────────────────
+
+function renderCalendarBlocks(group) {
+  document.getElementById('icsGroupChoices').innerHTML = groups.map(g => `
+    <label class="group-choice">
+      <input type="checkbox" value="${g.id}" ${g.id === group.id ? 'checked' : ''} />
+      <span>${escapeHtml(g.name)}</span>
+    </label>
+  `).join('');
+
+  const container = document.getElementById('calendarSourcesList');
+  container.innerHTML = '';
+  const now = Date.now();
+  const bySource = new Map();
+  for (const period of group.blockedPeriods || []) {
+    if (period.end <= now) continue;
+    if (!bySource.has(period.source)) bySource.set(period.source, []);
+    bySource.get(period.source).push(period);
+  }
+
+  for (const [source, periods] of bySource) {
+    const next = periods[0];
+    const nextStr = next.start <= now
+      ? `running until ${formatDateTime(next.end)}`
+      : `next ${formatDateTime(next.start)}`;
+    const card = document.createElement('div');
+    card.className = 'time-block-card';
+    card.innerHTML = `
+      <div class="time-block-info">
+        <div class="time-block-days">${escapeHtml(source)}</div>
+        <div class="time-block-time">${periods.length} upcoming block${periods.length === 1 ? '' : 's'} · ${escapeHtml(nextStr)}</div>
+      </div>
+      <div class="time-block-actions">
+        <button class="time-block-btn remove-block-btn">Remove</button>
+      </div>
+    `;
+    card.querySelector('.remove-block-btn').addEventListener('click', async () => {
+      await removeBlockedPeriodSource(group.id, source);
+      groups = await getGroups();
+      renderGroupDetail(groups.find(g => g.id === group.id));
+      showSaved();
+    });
+    container.appendChild(card);
+  }
+}
+
+async function handleImportIcs() {
+  const fileInput = document.getElementById('icsFileInput');
+  const errorEl = document.getElementById('icsError');
+  const file = fileInput.files[0];
+  if (!file) {
+    errorEl.textContent = 'Choose an .ics file first.';
+    return;
+  }
+
+  const now = Date.now();
+  const keywords = document.getElementById('icsKeywordsInput').value.split(',');
+  let events;
+  try {
+    const occurrences = expandCalendar(await file.text(), now, now + CALENDAR_IMPORT_DAYS * 24 * 60 * 60 * 1000);
+    events = filterCalendarEvents(occurrences, keywords);
+  } catch (e) {
+    console.warn('TimedFocus: could not read calendar file:', e);
+    errorEl.textContent = "That file couldn't be read as a calendar.";
+    return;
+  }
+  if (events.length === 0) {
+    errorEl.textContent = `No matching events in the next ${CALENDAR_IMPORT_DAYS} days.`;
+    return;
+  }
+
+  const groupIds = [...document.querySelectorAll('#icsGroupChoices input:checked')].map(input => input.value);
+  const result = await importBlockedPeriods(groupIds, file.name, events, now);
+  if (!result.success) {
+    errorEl.textContent = result.error;
+    return;
+  }
+
+  errorEl.textContent = '';
+  fileInput.value = '';
+  groups = await getGroups();
+  renderGroupDetail(groups.find(g => g.id === selectedGroupId));
+  showSaved();
+}
+
 // ── Utilities ───────────────────────────────────────────────────────────
 
 function escapeHtml(str) {
@@ -620,15 +1729,33 @@ function formatTime12hCompact(time24) {
   return m === 0 ? `${hour12} ${ampm}` : `${hour12}:${String(m).padStart(2, '0')} ${ampm}`;
 }
 
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString([], {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+}
+
+function formatSeconds(totalSeconds) {
+  const mins = Math.floor(totalSeconds / 60);
+  const secs = Math.round(totalSeconds % 60);
+  return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
+}
+
 function timeToMinutes(time24) {
   const [h, m] = time24.split(':').map(Number);
   return h * 60 + m;
 }
 
+// End before start means the window runs past midnight into the next day.
+function isOvernight(startTime, endTime) {
+  return timeToMinutes(endTime) < timeToMinutes(startTime);
+}
+
 function formatDuration(startTime, endTime, allDay) {
   if (allDay) return '24 hours';
-  const diff = timeToMinutes(endTime) - timeToMinutes(startTime);
-  if (diff <= 0) return '—';
+  let diff = timeToMinutes(endTime) - timeToMinutes(startTime);
+  if (diff === 0) return '—';
+  if (diff < 0) diff += 24 * 60;
   const hours = Math.floor(diff / 60);
   const mins = diff % 60;
   if (hours === 0) return `${mins} minute${mins === 1 ? '' : 's'}`;
@@ -661,11 +1788,31 @@ function formatSummary(state) {
 
   const windowLabel = state.allDay
     ? 'All day'
-    : `${formatTime12hCompact(state.startTime)} – ${formatTime12hCompact(state.endTime)}`;
+    : `${formatTime12hCompact(state.startTime)} – ${formatTime12hCompact(state.endTime)}${isOvernight(state.startTime, state.endTime) ? ' (next day)' : ''}`;
 
+  if (isAllowlist(groups.find(g => g.id === selectedGroupId))) {
+    return `${daysLabel} · ${windowLabel} · focus window`;
+  }
+  if (state.budgetType === 'visits') {
+    const { visits } = state.visitLimit;
+    return `${daysLabel} · ${windowLabel} · ${visits} visit${visits === 1 ? '' : 's'}`;
+  }
   return `${daysLabel} · ${windowLabel} · ${state.allowedMinutes} min budget`;
 }
 
+function formatRollover(rollover) {
+  const policy = sanitizeRollover(rollover);
+  if (!policy) return '';
+  return policy.mode === 'percent'
+    ? ` · ${policy.percent}% of unused carries over (max ${policy.maxMinutes}m)`
+    : ` · unused carries over (max ${policy.maxMinutes}m)`;
+}
+
+function formatVisitLimit(visitLimit) {
+  const { visits, awayMinutes } = visitLimit;
+  return `${visits} visit${visits === 1 ? '' : 's'} (new after ${awayMinutes}m away)`;
+}
+
 function daySetsEqual(setA, arrOrSetB) {
   const b = arrOrSetB instanceof Set ? arrOrSetB : new Set(arrOrSetB);
   if (setA.size !== b.size) return false;
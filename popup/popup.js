@@ -1,13 +1,32 @@
 // popup/popup.js — Popup UI logic
-import { getGroups, getPause, getTrackingEntry, todayDateStr } from '../shared/storage.js';
 import {
-  findMatchingGroups, shouldGroupBlockNow, getActiveBlockForGroup,
+  getGroups, getPause, getTrackingEntry, todayDateStr, getFocusSession, onStorageChanged,
+} from '../shared/storage.js';
+import {
+  resolveUrl, shouldGroupBlockNow, getActiveBlockForGroup,
 } from '../background/rule-engine.js';
+import { DEFAULT_POMODORO } from '../background/focus-session.js';
 
 const CONFIRMATION_PHRASE = "i know i should be focusing, but i need to do something important right now instead.";
 
 let currentGroupId = null;
 let currentBlockedUrl = null;
+let focusMinutes = 25;
+let focusInterval = null;
+
+const FOCUS_PHASE_LABELS = {
+  'work': 'Focusing',
+  'short-break': 'Short break',
+  'long-break': 'Long break',
+};
+
+const POMODORO_INPUTS = {
+  workMinutes: 'pomodoroWork',
+  shortBreakMinutes: 'pomodoroShortBreak',
+  longBreakMinutes: 'pomodoroLongBreak',
+  cyclesBeforeLongBreak: 'pomodoroLongEvery',
+  cycles: 'pomodoroCycles',
+};
 
 // Keep a port open for the lifetime of the popup. The service worker listens for
 // disconnect and re-renders the toolbar icon — fixes cases where the icon reverts
@@ -65,11 +84,14 @@ async function init() {
       currentBlockedUrl = blockedParams.get('url') || null;
     }
 
+    // Show whichever group decides the original URL now, which may differ from
+    // the one whose rule redirected here.
     const groups = await getGroups();
-    const group = groups.find(g => g.id === groupId);
+    const resolved = currentBlockedUrl ? (await resolveUrl(currentBlockedUrl, groups)).winner : null;
+    const group = resolved ? resolved.group : groups.find(g => g.id === groupId);
     if (group) {
       currentGroupId = group.id;
-      const decision = await shouldGroupBlockNow(group);
+      const decision = resolved ? resolved.decision : await shouldGroupBlockNow(group);
       showStatus(group, decision);
       // Check for active pause
       const pause = await getPause(group.id);
@@ -90,20 +112,17 @@ async function init() {
     return;
   }
 
-  const groups = await getGroups();
-  const matching = findMatchingGroups(url, groups);
+  const { winner } = await resolveUrl(url, await getGroups());
 
-  if (matching.length === 0) {
+  if (!winner) {
     showNoMatch();
     return;
   }
 
-  // Use the first (most relevant) matching group
-  const group = matching[0];
+  const { group, decision } = winner;
   currentGroupId = group.id;
   currentBlockedUrl = url;
 
-  const decision = await shouldGroupBlockNow(group);
   showStatus(group, decision);
 
   // Check for active pause
@@ -139,22 +158,70 @@ function showStatus(group, decision) {
         detailEl.textContent = 'Always blocked — no time windows set';
         break;
       case 'budget-exhausted':
-        detailEl.textContent = `Time budget used (${decision.allowedMinutes}m)`;
+        detailEl.textContent = decision.sitePattern
+          ? `${decision.sitePattern} cap used (${decision.allowedMinutes}m)`
+          : `Time budget used (${decision.allowedMinutes}m)`;
+        break;
+      case 'daily-budget-exhausted':
+        detailEl.textContent = `Daily budget used (${decision.allowedMinutes}m)`;
+        break;
+      case 'weekly-budget-exhausted':
+        detailEl.textContent = `Weekly budget used (${decision.allowedMinutes}m)`;
+        break;
+      case 'visits-exhausted':
+        detailEl.textContent = `All ${decision.allowedVisits} visits used for this window`;
+        break;
+      case 'cooldown': {
+        const until = new Date(decision.cooldownEndsAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        detailEl.textContent = `Cooling down after a long session — open again at ${until}`;
+        break;
+      }
+      case 'pool-exhausted':
+        detailEl.textContent = `Shared pool "${decision.poolName}" used (${decision.allowedMinutes}m)`;
         break;
       case 'outside-schedule':
         detailEl.textContent = 'Outside allowed time window';
         break;
+      case 'allowlist-active':
+        detailEl.textContent = 'Focus window — only allowlisted sites are open';
+        break;
+      case 'focus-session':
+        detailEl.textContent = 'Blocked for your focus session';
+        break;
+      case 'calendar-block':
+        detailEl.textContent = decision.period.title
+          ? `Calendar focus block — ${decision.period.title}`
+          : 'Calendar focus block';
+        break;
+      case 'override-blocked':
+        detailEl.textContent = 'Blocked all day by a schedule override';
+        break;
       default:
         detailEl.textContent = 'Blocked';
     }
   } else if (decision.reason === 'paused') {
     indicator.className = 'status-indicator paused';
     detailEl.textContent = 'Paused';
+  } else if (decision.reason === 'override-unblocked') {
+    indicator.className = 'status-indicator timer';
+    detailEl.textContent = 'Unblocked today by a schedule override';
+  } else if (decision.reason === 'allowlist-inactive') {
+    indicator.className = 'status-indicator timer';
+    detailEl.textContent = 'No focus window active — all sites open';
   } else if (decision.reason === 'allowed') {
     const remaining = decision.remainingSeconds;
     if (remaining <= 60) {
       indicator.className = 'status-indicator urgent';
       detailEl.textContent = `${remaining}s remaining`;
+    } else if (decision.sessionSecondsLeft === remaining) {
+      indicator.className = 'status-indicator timer';
+      const mins = Math.ceil(remaining / 60);
+      detailEl.textContent = `${mins}m until a ${decision.cooldown.cooldownMinutes}m cooldown`;
+    } else if (decision.visitLimit) {
+      indicator.className = 'status-indicator timer';
+      detailEl.textContent = decision.visitsLeft > 0
+        ? `${decision.visitsLeft} visit${decision.visitsLeft === 1 ? '' : 's'} left`
+        : `Last visit — ends after ${decision.visitLimit.awayMinutes}m away`;
     } else {
       indicator.className = 'status-indicator timer';
       const mins = Math.ceil(remaining / 60);
@@ -216,6 +283,11 @@ async function setupPauseSection(groupId) {
   });
   let remainingPauses = null;
 
+  if (pauseLimitStatus && pauseLimitStatus.strictUntil) {
+    showStrictPeriod(pauseLimitStatus.strictUntil);
+    return;
+  }
+
   if (pauseLimitStatus && pauseLimitStatus.ok) {
     remainingPauses = pauseLimitStatus.remaining;
     pauseLimitInfo.classList.remove('warning');
@@ -229,17 +301,10 @@ async function setupPauseSection(groupId) {
     pauseLimitInfo.textContent = '';
   }
 
-  input.addEventListener('paste', (e) => {
-    e.preventDefault();
-    pasteWarning.style.display = 'block';
-    setTimeout(() => {
-      pasteWarning.style.display = 'none';
-    }, 3000);
-  });
+  blockPaste(input, pasteWarning);
 
   input.addEventListener('input', () => {
-    const typed = input.value.trim().toLowerCase().replace(/[""]/g, '"').replace(/['']/g, "'");
-    const matches = typed === CONFIRMATION_PHRASE;
+    const matches = matchesConfirmationPhrase(input.value);
     const canPause = remainingPauses === null ? matches : (matches && remainingPauses > 0);
     buttons.forEach(btn => {
       btn.disabled = !canPause;
@@ -258,7 +323,9 @@ async function setupPauseSection(groupId) {
         pausedUntil,
       });
       if (!activationResult || !activationResult.ok) {
-        if (activationResult?.reason === 'pause-limit-reached') {
+        if (activationResult?.reason === 'strict-period') {
+          showStrictPeriod(activationResult.strictUntil);
+        } else if (activationResult?.reason === 'pause-limit-reached') {
           remainingPauses = 0;
           pauseLimitInfo.classList.add('warning');
           pauseLimitInfo.textContent = `Daily pause limit reached (${activationResult.used}/${activationResult.limit}).`;
@@ -283,4 +350,180 @@ async function setupPauseSection(groupId) {
   });
 }
 
+function matchesConfirmationPhrase(value) {
+  const typed = value.trim().toLowerCase().replace(/[""]/g, '"').replace(/['']/g, "'");
+  return typed === CONFIRMATION_PHRASE;
+}
+
+function blockPaste(input, warning) {
+  input.addEventListener('paste', (e) => {
+    e.preventDefault();
+    warning.style.display = 'block';
+    setTimeout(() => {
+      warning.style.display = 'none';
+    }, 3000);
+  });
+}
+
+function formatStrictEnd(strictUntil) {
+  const until = new Date(strictUntil);
+  const time = until.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  return until.toDateString() === new Date().toDateString()
+    ? `at ${time}`
+    : `${until.toLocaleDateString([], { weekday: 'long' })} at ${time}`;
+}
+
+function showStrictPeriod(strictUntil) {
+  document.getElementById('pauseControls').style.display = 'none';
+  const info = document.getElementById('pauseStrictInfo');
+  info.textContent = `Pausing is turned off during this group's strict period. You can pause again ${formatStrictEnd(strictUntil)}.`;
+  info.style.display = 'block';
+}
+
+// ── Focus Session ──
+
+async function setupFocusSection() {
+  const groups = await getGroups();
+  if (groups.length === 0) return;
+  document.getElementById('focusSection').style.display = 'block';
+
+  const groupsEl = document.getElementById('focusGroups');
+  for (const group of groups) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = group.id;
+    checkbox.checked = true;
+    label.append(checkbox, group.name);
+    groupsEl.appendChild(label);
+  }
+
+  const durationButtons = document.querySelectorAll('.focus-duration-btn');
+  const selectDuration = (minutes) => {
+    focusMinutes = minutes;
+    durationButtons.forEach(btn => {
+      btn.classList.toggle('selected', parseInt(btn.dataset.minutes) === minutes);
+    });
+  };
+  durationButtons.forEach(btn => {
+    btn.addEventListener('click', () => selectDuration(parseInt(btn.dataset.minutes)));
+  });
+  selectDuration(focusMinutes);
+
+  for (const [key, id] of Object.entries(POMODORO_INPUTS)) {
+    document.getElementById(id).value = DEFAULT_POMODORO[key];
+  }
+  const pomodoroToggle = document.getElementById('pomodoroToggle');
+  pomodoroToggle.addEventListener('change', () => {
+    document.getElementById('pomodoroFields').style.display = pomodoroToggle.checked ? 'grid' : 'none';
+    durationButtons.forEach(btn => { btn.disabled = pomodoroToggle.checked; });
+  });
+
+  document.getElementById('focusStartBtn').addEventListener('click', handleStartFocus);
+  setupEndFocus();
+
+  // The service worker advances the session at each phase end; follow along.
+  onStorageChanged((changes) => {
+    if (changes['focus-session']) renderFocusSession();
+  });
+
+  await renderFocusSession();
+}
+
+// Ending a session early takes the confirmation phrase, and the service worker
+// holds it to each group's pause limit and strict periods.
+function setupEndFocus() {
+  const endBtn = document.getElementById('endFocusBtn');
+  const confirmEl = document.getElementById('focusEndConfirm');
+  const input = document.getElementById('focusEndInput');
+  const confirmBtn = document.getElementById('confirmEndFocusBtn');
+  const errorEl = document.getElementById('focusEndError');
+
+  endBtn.addEventListener('click', () => {
+    endBtn.style.display = 'none';
+    confirmEl.style.display = 'block';
+    input.focus();
+  });
+  blockPaste(input, document.getElementById('focusPasteWarning'));
+  input.addEventListener('input', () => {
+    confirmBtn.disabled = !matchesConfirmationPhrase(input.value);
+  });
+
+  confirmBtn.addEventListener('click', async () => {
+    const result = await chrome.runtime.sendMessage({ type: 'focus-session-stop' });
+    if (result && result.ok) {
+      errorEl.textContent = '';
+      return;
+    }
+    confirmBtn.disabled = true;
+    if (result?.reason === 'strict-period') {
+      errorEl.textContent = `${result.groupName} is in a strict period. You can end the session ${formatStrictEnd(result.strictUntil)}.`;
+    } else if (result?.reason === 'pause-limit-reached') {
+      errorEl.textContent = `${result.groupName} has no pauses left today (${result.used}/${result.limit}).`;
+    } else {
+      errorEl.textContent = result?.error || 'Could not end the focus session.';
+    }
+  });
+}
+
+async function handleStartFocus() {
+  const errorEl = document.getElementById('focusError');
+  const groupIds = [...document.querySelectorAll('#focusGroups input:checked')].map(cb => cb.value);
+
+  let pomodoro = null;
+  if (document.getElementById('pomodoroToggle').checked) {
+    pomodoro = {};
+    for (const [key, id] of Object.entries(POMODORO_INPUTS)) {
+      pomodoro[key] = parseInt(document.getElementById(id).value);
+    }
+  }
+
+  const result = await chrome.runtime.sendMessage({
+    type: 'focus-session-start',
+    options: { groupIds, minutes: focusMinutes, pomodoro },
+  });
+  if (!result || !result.ok) {
+    errorEl.textContent = result?.error || 'Could not start the focus session.';
+    return;
+  }
+  errorEl.textContent = '';
+}
+
+async function renderFocusSession() {
+  const session = await getFocusSession();
+  const setupEl = document.getElementById('focusSetup');
+  const activeEl = document.getElementById('focusActive');
+  clearInterval(focusInterval);
+
+  if (!session) {
+    setupEl.style.display = 'block';
+    activeEl.style.display = 'none';
+    document.getElementById('endFocusBtn').style.display = '';
+    document.getElementById('focusEndConfirm').style.display = 'none';
+    document.getElementById('focusEndInput').value = '';
+    document.getElementById('confirmEndFocusBtn').disabled = true;
+    return;
+  }
+
+  setupEl.style.display = 'none';
+  activeEl.style.display = 'block';
+
+  let phaseText = FOCUS_PHASE_LABELS[session.phase] || 'Focusing';
+  if (session.pomodoro) {
+    phaseText += ` · cycle ${session.cycle} of ${session.pomodoro.cycles}`;
+  }
+  document.getElementById('focusPhase').textContent = phaseText;
+
+  function updateRemaining() {
+    const remaining = Math.max(0, Math.ceil((session.phaseEndsAt - Date.now()) / 1000));
+    const mins = Math.floor(remaining / 60);
+    const secs = String(remaining % 60).padStart(2, '0');
+    document.getElementById('focusRemaining').textContent = `${mins}:${secs} left`;
+  }
+
+  updateRemaining();
+  focusInterval = setInterval(updateRemaining, 1000);
+}
+
 init();
+setupFocusSection();
@@ -1,30 +1,80 @@
 // shared/group-manager.js — Higher-level CRUD for site-blocking groups
 import {
-  getGroups, saveGroups, getGroupById,
-  DEFAULT_DAILY_PAUSE_LIMIT, sanitizeDailyPauseLimit,
+  getGroups, saveGroups, getGroupById, getPools, savePools,
+  DEFAULT_DAILY_PAUSE_LIMIT, sanitizeDailyPauseLimit, sanitizeGroupPriority,
 } from './storage.js';
 
 // ── Pattern Helpers ─────────────────────────────────────────────────────
 
+// "localhost:3000" → { host: 'localhost', port: '3000' }
+// "[::1]:8080"     → { host: '[::1]', port: '8080' }
+// "facebook.com"   → { host: 'facebook.com', port: null }
+export function splitHostPort(hostPart) {
+  const match = /^(\[[^\]]*\]|[^:]*)(?::(.*))?$/.exec(hostPart);
+  if (!match) return { host: hostPart, port: null };
+  return { host: match[1], port: match[2] ?? null };
+}
+
+export function isIPv4Literal(host) {
+  return /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/.test(host);
+}
+
+export function isIPv6Literal(host) {
+  if (!/^\[[0-9a-f:.]+\]$/.test(host)) return false;
+  try {
+    return new URL(`http://${host}/`).hostname === host;
+  } catch {
+    return false;
+  }
+}
+
+export function isIpLiteral(host) {
+  return isIPv4Literal(host) || isIPv6Literal(host);
+}
+
+// Hosts are stored the way they appear in the URLs Chrome matches against:
+// "bücher.de" → "xn--bcher-kva.de", "[2001:DB8:0::1]" → "[2001:db8::1]".
+function toCanonicalHost(host) {
+  if (!/[^\x00-\x7f]/.test(host) && !host.startsWith('[')) return host;
+  try {
+    return new URL(`http://${host}/`).hostname;
+  } catch {
+    return host; // validateSitePattern reports it
+  }
+}
+
+// Query values keep their case: matching them is case-sensitive (see
+// siteToRegexFilter), since IDs like YouTube's list= are.
+function lowercaseExceptQueryValues(text) {
+  const queryIdx = text.indexOf('?');
+  if (queryIdx === -1) return text.toLowerCase();
+  const query = text.slice(queryIdx + 1).split('&').map((part) => {
+    const eqIdx = part.indexOf('=');
+    return eqIdx === -1 ? part.toLowerCase() : part.slice(0, eqIdx).toLowerCase() + part.slice(eqIdx);
+  });
+  return `${text.slice(0, queryIdx).toLowerCase()}?${query.join('&')}`;
+}
+
 export function normalizeSitePattern(raw) {
-  let pattern = raw.trim().toLowerCase();
+  let pattern = lowercaseExceptQueryValues(raw.trim());
   // Strip protocol
   pattern = pattern.replace(/^https?:\/\//, '');
   // Strip www.
   pattern = pattern.replace(/^www\./, '');
   // Strip trailing slash (but keep paths)
   pattern = pattern.replace(/\/+$/, '');
-  return pattern;
+
+  const hostEnd = pattern.search(/[/?]/);
+  const hostPart = hostEnd === -1 ? pattern : pattern.slice(0, hostEnd);
+  const { host, port } = splitHostPort(hostPart);
+  const canonical = toCanonicalHost(host) + (port === null ? '' : `:${port}`);
+  return canonical + pattern.slice(hostPart.length);
 }
 
 export function validateSitePattern(pattern) {
   if (!pattern || pattern.length === 0) {
     return { valid: false, error: 'Pattern cannot be empty.' };
   }
-  // Must contain at least one dot (domain)
-  if (!pattern.includes('.')) {
-    return { valid: false, error: 'Enter a valid domain (e.g. facebook.com).' };
-  }
   // No spaces
   if (/\s/.test(pattern)) {
     return { valid: false, error: 'Pattern cannot contain spaces.' };
@@ -33,25 +83,217 @@ export function validateSitePattern(pattern) {
   if (/^https?:\/\//.test(pattern)) {
     return { valid: false, error: 'Do not include http:// or https://.' };
   }
-  // Basic domain format check
+  if (pattern.includes('#')) {
+    return { valid: false, error: 'Fragments (#...) are never sent to the server and cannot be matched.' };
+  }
+
   const domainPart = pattern.split('/')[0];
-  if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(domainPart)) {
-    return { valid: false, error: 'Invalid domain format.' };
+  const pathPart = pattern.slice(domainPart.length);
+
+  if (domainPart.includes('?')) {
+    return { valid: false, error: 'Add a path before the query (e.g. google.com/search?tbm=nws).' };
+  }
+  const hostValidation = validatePatternHost(domainPart);
+  if (!hostValidation.valid) {
+    return hostValidation;
+  }
+
+  if (/\*{3,}/.test(pathPart)) {
+    return { valid: false, error: 'Use * for one path segment or ** for any number of segments.' };
+  }
+  const queryIdx = pathPart.indexOf('?');
+  if (queryIdx !== -1 && pathPart.slice(queryIdx).includes('**')) {
+    return { valid: false, error: 'Use a single * in the query; ** is only allowed in the path.' };
+  }
+  if (queryIdx !== -1 && pathPart.slice(queryIdx + 1).split('&').filter(Boolean).length > MAX_QUERY_CONDITIONS) {
+    return { valid: false, error: `Use at most ${MAX_QUERY_CONDITIONS} query parameters per site.` };
   }
   return { valid: true, error: null };
 }
 
+function validatePatternHost(domainPart) {
+  if (!domainPart.startsWith('[') && (domainPart.match(/:/g) || []).length > 1) {
+    return { valid: false, error: 'Put IPv6 addresses in brackets (e.g. [2001:db8::1]:8080).' };
+  }
+
+  const { host, port } = splitHostPort(domainPart);
+  if (port !== null) {
+    if (!/^\d{1,5}$/.test(port) || Number(port) < 1 || Number(port) > 65535) {
+      return { valid: false, error: 'The port must be a number from 1 to 65535 (e.g. localhost:3000).' };
+    }
+    if (port === '80' || port === '443') {
+      return { valid: false, error: 'Leave out :80 and :443 — browsers drop default ports from URLs.' };
+    }
+  }
+
+  if (host.startsWith('[')) {
+    return isIPv6Literal(host)
+      ? { valid: true, error: null }
+      : { valid: false, error: 'Enter a valid IPv6 address in brackets (e.g. [::1]).' };
+  }
+  if (host === 'localhost' || isIPv4Literal(host)) {
+    return { valid: true, error: null };
+  }
+  if (/^[0-9.]+$/.test(host)) {
+    return { valid: false, error: 'Enter a valid IPv4 address (e.g. 192.168.1.50).' };
+  }
+
+  // Must contain at least one dot (domain)
+  if (!host.includes('.')) {
+    return { valid: false, error: 'Enter a valid domain (e.g. facebook.com), localhost or an IP address.' };
+  }
+  if (host.includes('**')) {
+    return { valid: false, error: 'Use a single * in the domain; ** is only allowed in the path.' };
+  }
+  if (!/^[a-z0-9.*-]+$/.test(host)) {
+    return { valid: false, error: 'The domain may only contain letters, numbers, dots, hyphens and *.' };
+  }
+
+  const labels = host.split('.');
+  if (labels.some(label => label.length === 0)) {
+    return { valid: false, error: 'The domain has an empty part between dots.' };
+  }
+  if (labels.every(label => /^\**$/.test(label))) {
+    return { valid: false, error: 'The domain needs at least one literal part (e.g. *.substack.com).' };
+  }
+  const tld = labels[labels.length - 1];
+  if (!tld.includes('*') && !/^([a-z]{2,}|xn--[a-z0-9-]+)$/.test(tld)) {
+    return { valid: false, error: 'The domain must end in a top-level domain like .com, or .* for any.' };
+  }
+  return { valid: true, error: null };
+}
+
+// Query conditions: "tbm=nws, list" → [{ name: 'tbm', value: 'nws' }, { name: 'list', value: null }]
+export const MAX_QUERY_CONDITIONS = 3;
+
+export function parseQueryConditions(raw) {
+  const text = (raw || '').trim();
+  if (!text) return { valid: true, error: null, conditions: [] };
+
+  const conditions = [];
+  for (const part of text.split(/[,&]/).map(p => p.trim()).filter(Boolean)) {
+    const eqIdx = part.indexOf('=');
+    const name = (eqIdx === -1 ? part : part.slice(0, eqIdx)).trim();
+    const value = eqIdx === -1 ? null : part.slice(eqIdx + 1).trim();
+    if (!name) {
+      return { valid: false, error: `Query condition "${part}" is missing a parameter name.`, conditions: [] };
+    }
+    if (/[\s?#]/.test(name) || (value !== null && /[\s#]/.test(value))) {
+      return { valid: false, error: `Query condition "${part}" cannot contain spaces, ? or #.`, conditions: [] };
+    }
+    if (conditions.some(c => c.name === name)) {
+      return { valid: false, error: `Parameter "${name}" is listed twice.`, conditions: [] };
+    }
+    conditions.push({ name, value });
+  }
+
+  if (conditions.length > MAX_QUERY_CONDITIONS) {
+    return { valid: false, error: `Use at most ${MAX_QUERY_CONDITIONS} query conditions per site.`, conditions: [] };
+  }
+  return { valid: true, error: null, conditions };
+}
+
+export function formatQueryConditions(conditions) {
+  return (conditions || [])
+    .map(c => (c.value === null || c.value === undefined ? c.name : `${c.name}=${c.value}`))
+    .join('&');
+}
+
 // ── Group CRUD ──────────────────────────────────────────────────────────
 
+// 'blocklist' blocks the listed sites; 'allowlist' blocks everything else
+// during its focus windows.
+export const GROUP_TYPES = ['blocklist', 'allowlist'];
+
+// Group budgets cap a blocklist group's total use on top of its window
+// budgets: dailyBudgetMinutes is shared by all windows of a day, weeklyBudget
+// ({ minutes, weekStart }) by all windows of a week. A group with a group
+// budget and no time windows is open at any time until the budget is spent;
+// that use is tracked under ANYTIME_BLOCK_ID.
+export const WEEK_START_DAYS = ['mon', 'sun', 'sat'];
+export const ANYTIME_BLOCK_ID = 'anytime';
+const MAX_DAILY_MINUTES = 24 * 60;
+const MAX_WEEKLY_MINUTES = 7 * 24 * 60;
+
+export function sanitizeDailyBudgetMinutes(value) {
+  const minutes = Math.floor(Number(value));
+  if (!Number.isFinite(minutes) || minutes <= 0) return null;
+  return Math.min(minutes, MAX_DAILY_MINUTES);
+}
+
+export function getDailyBudgetMinutes(group) {
+  if (group.type === 'allowlist') return null;
+  return sanitizeDailyBudgetMinutes(group.dailyBudgetMinutes);
+}
+
+export function sanitizeWeeklyBudget(value) {
+  if (!value) return null;
+  const minutes = Math.floor(Number(value.minutes));
+  if (!Number.isFinite(minutes) || minutes <= 0) return null;
+  return {
+    minutes: Math.min(minutes, MAX_WEEKLY_MINUTES),
+    weekStart: WEEK_START_DAYS.includes(value.weekStart) ? value.weekStart : 'mon',
+  };
+}
+
+export function getWeeklyBudget(group) {
+  if (group.type === 'allowlist') return null;
+  return sanitizeWeeklyBudget(group.weeklyBudget);
+}
+
+// A cooldown forces a break after a long continuous session:
+//   { sessionMinutes, cooldownMinutes }
+// Once a group's sites have been used for sessionMinutes without a break of
+// cooldownMinutes, the group blocks for cooldownMinutes. A break that long
+// taken by choice starts a fresh session just the same.
+const MAX_COOLDOWN_MINUTES = 24 * 60;
+
+export function sanitizeCooldown(value) {
+  if (!value) return null;
+  const sessionMinutes = Math.floor(Number(value.sessionMinutes));
+  const cooldownMinutes = Math.floor(Number(value.cooldownMinutes));
+  if (!Number.isFinite(sessionMinutes) || sessionMinutes <= 0) return null;
+  if (!Number.isFinite(cooldownMinutes) || cooldownMinutes <= 0) return null;
+  return {
+    sessionMinutes: Math.min(sessionMinutes, MAX_COOLDOWN_MINUTES),
+    cooldownMinutes: Math.min(cooldownMinutes, MAX_COOLDOWN_MINUTES),
+  };
+}
+
+export function getCooldown(group) {
+  if (group.type === 'allowlist') return null;
+  return sanitizeCooldown(group.cooldown);
+}
+
+// Every block ID a group's usage can be tracked under.
+export function getTrackedBlockIds(group) {
+  return [
+    ...group.allowedTimeBlocks.map(block => block.id),
+    ...(group.overrides || []).flatMap(override => override.timeBlocks.map(block => block.id)),
+    ANYTIME_BLOCK_ID,
+  ];
+}
+
 export async function createGroup(name) {
   const groups = await getGroups();
   const group = {
     id: crypto.randomUUID(),
     name: name || 'New Group',
+    type: 'blocklist',
+    priority: 0,
     enabled: true,
     pauseLimitPerDay: DEFAULT_DAILY_PAUSE_LIMIT,
     sites: [],
+    exceptions: [],
     allowedTimeBlocks: [],
+    dailyBudgetMinutes: null,
+    weeklyBudget: null,
+    cooldown: null,
+    countBackgroundMedia: false,
+    poolId: null,
+    overrides: [],
+    blockedPeriods: [],
+    strictPeriods: [],
   };
   groups.push(group);
   await saveGroups(groups);
@@ -71,35 +313,199 @@ export async function updateGroup(groupId, updates) {
   if (Object.prototype.hasOwnProperty.call(updates, 'pauseLimitPerDay')) {
     updates.pauseLimitPerDay = sanitizeDailyPauseLimit(updates.pauseLimitPerDay);
   }
+  if (Object.prototype.hasOwnProperty.call(updates, 'type') && !GROUP_TYPES.includes(updates.type)) {
+    updates.type = 'blocklist';
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'priority')) {
+    updates.priority = sanitizeGroupPriority(updates.priority);
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'dailyBudgetMinutes')) {
+    updates.dailyBudgetMinutes = sanitizeDailyBudgetMinutes(updates.dailyBudgetMinutes);
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'weeklyBudget')) {
+    updates.weeklyBudget = sanitizeWeeklyBudget(updates.weeklyBudget);
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'countBackgroundMedia')) {
+    updates.countBackgroundMedia = updates.countBackgroundMedia === true;
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'cooldown')) {
+    updates.cooldown = sanitizeCooldown(updates.cooldown);
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'poolId') && typeof updates.poolId !== 'string') {
+    updates.poolId = null;
+  }
   Object.assign(groups[idx], updates);
   await saveGroups(groups);
   return groups[idx];
 }
 
+// ── Budget Pools ────────────────────────────────────────────────────────
+// A pool is one daily allowance that several groups draw from:
+//   { id, name, minutesPerDay }
+// A group joins through its poolId. Time on a member's site is charged to the
+// pool once, however many members match, and once the pool is spent every
+// member blocks until midnight. Window and group budgets still apply.
+
+export function getPoolForGroup(group, pools) {
+  if (!group.poolId || group.type === 'allowlist') return null;
+  return pools.find(p => p.id === group.poolId) || null;
+}
+
+export async function createPool(name, minutesPerDay) {
+  const minutes = sanitizeDailyBudgetMinutes(minutesPerDay);
+  const trimmed = String(name || '').trim().slice(0, 40);
+  if (!trimmed) return { success: false, error: 'Name the pool.' };
+  if (!minutes) return { success: false, error: 'Enter the minutes per day.' };
+
+  const pools = await getPools();
+  const pool = { id: crypto.randomUUID(), name: trimmed, minutesPerDay: minutes };
+  pools.push(pool);
+  await savePools(pools);
+  return { success: true, pool };
+}
+
+export async function updatePool(poolId, updates) {
+  const pools = await getPools();
+  const pool = pools.find(p => p.id === poolId);
+  if (!pool) return { success: false, error: 'Pool not found.' };
+
+  if (Object.prototype.hasOwnProperty.call(updates, 'minutesPerDay')) {
+    const minutes = sanitizeDailyBudgetMinutes(updates.minutesPerDay);
+    if (!minutes) return { success: false, error: 'Enter the minutes per day.' };
+    pool.minutesPerDay = minutes;
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'name')) {
+    const trimmed = String(updates.name || '').trim().slice(0, 40);
+    if (!trimmed) return { success: false, error: 'Name the pool.' };
+    pool.name = trimmed;
+  }
+  await savePools(pools);
+  return { success: true, pool };
+}
+
+// Deleting a pool takes its members out of it.
+export async function deletePool(poolId) {
+  await savePools((await getPools()).filter(p => p.id !== poolId));
+  const groups = await getGroups();
+  if (groups.some(g => g.poolId === poolId)) {
+    for (const group of groups) {
+      if (group.poolId === poolId) group.poolId = null;
+    }
+    await saveGroups(groups);
+  }
+}
+
+// ── Budget Rollover ─────────────────────────────────────────────────────
+// A time block's rollover policy decides how many unused minutes carry into
+// its next occurrence:
+//   null                                   — none
+//   { mode: 'minutes', maxMinutes }         — all of them, up to maxMinutes
+//   { mode: 'percent', percent, maxMinutes } — that share of them, up to maxMinutes
+
+export const ROLLOVER_MODES = ['none', 'minutes', 'percent'];
+const MAX_ROLLOVER_MINUTES = 24 * 60;
+
+export function sanitizeRollover(value) {
+  if (!value || !ROLLOVER_MODES.includes(value.mode) || value.mode === 'none') return null;
+  const maxMinutes = Math.floor(Number(value.maxMinutes));
+  if (!Number.isFinite(maxMinutes) || maxMinutes <= 0) return null;
+  const rollover = { mode: value.mode, maxMinutes: Math.min(maxMinutes, MAX_ROLLOVER_MINUTES) };
+  if (value.mode === 'percent') {
+    const percent = Math.floor(Number(value.percent));
+    if (!Number.isFinite(percent) || percent <= 0) return null;
+    rollover.percent = Math.min(percent, 100);
+  }
+  return rollover;
+}
+
+export function computeRolloverMinutes(rollover, unusedMinutes) {
+  const policy = sanitizeRollover(rollover);
+  if (!policy || unusedMinutes <= 0) return 0;
+  const share = policy.mode === 'percent' ? unusedMinutes * policy.percent / 100 : unusedMinutes;
+  return Math.floor(Math.min(share, policy.maxMinutes));
+}
+
+// ── Visit Limits ────────────────────────────────────────────────────────
+// A time block can budget visits instead of minutes:
+//   null                      — a minute budget (allowedMinutes)
+//   { visits, awayMinutes }   — that many visits per window occurrence
+// A visit is a navigation to one of the group's sites after at least
+// awayMinutes without being on any of them; anything sooner continues the
+// last visit. Minutes don't count against the window itself, though group
+// and pool budgets still do, and such a block has no rollover.
+
+const MAX_VISITS = 100;
+const MAX_AWAY_MINUTES = 24 * 60;
+
+export function sanitizeVisitLimit(value) {
+  if (!value) return null;
+  const visits = Math.floor(Number(value.visits));
+  const awayMinutes = Math.floor(Number(value.awayMinutes));
+  if (!Number.isFinite(visits) || visits <= 0) return null;
+  if (!Number.isFinite(awayMinutes) || awayMinutes <= 0) return null;
+  return {
+    visits: Math.min(visits, MAX_VISITS),
+    awayMinutes: Math.min(awayMinutes, MAX_AWAY_MINUTES),
+  };
+}
+
 // ── Site Management ─────────────────────────────────────────────────────
 
-export async function addSiteToGroup(groupId, rawPattern) {
+export async function addSiteToGroup(groupId, rawPattern, rawQueryConditions = '') {
   const pattern = normalizeSitePattern(rawPattern);
   const validation = validateSitePattern(pattern);
   if (!validation.valid) {
     return { success: false, error: validation.error };
   }
 
+  const parsed = parseQueryConditions(rawQueryConditions);
+  if (!parsed.valid) {
+    return { success: false, error: parsed.error };
+  }
+  if (parsed.conditions.length > 0 && pattern.includes('?')) {
+    return { success: false, error: 'Use either a query in the pattern or query conditions, not both.' };
+  }
+
   const groups = await getGroups();
   const group = groups.find(g => g.id === groupId);
   if (!group) return { success: false, error: 'Group not found.' };
 
   // Check for duplicates
-  if (group.sites.some(s => s.pattern === pattern)) {
+  const queryKey = formatQueryConditions(parsed.conditions);
+  if (group.sites.some(s => s.pattern === pattern && formatQueryConditions(s.queryParams) === queryKey)) {
     return { success: false, error: 'Site already exists in this group.' };
   }
 
   const site = { id: crypto.randomUUID(), pattern };
+  if (parsed.conditions.length > 0) site.queryParams = parsed.conditions;
   group.sites.push(site);
   await saveGroups(groups);
   return { success: true, site };
 }
 
+// A blocklist site can carry its own cap, maxMinutes: the most of each
+// window's budget that site may use. Once it's spent only that site blocks;
+// the rest of the group stays open.
+export function sanitizeSiteCap(value) {
+  const minutes = Math.floor(Number(value));
+  if (!Number.isFinite(minutes) || minutes <= 0) return null;
+  return Math.min(minutes, MAX_DAILY_MINUTES);
+}
+
+export function getSiteCap(site) {
+  return sanitizeSiteCap(site.maxMinutes);
+}
+
+export async function setSiteCap(groupId, siteId, maxMinutes) {
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  const site = group && group.sites.find(s => s.id === siteId);
+  if (!site) return null;
+  site.maxMinutes = sanitizeSiteCap(maxMinutes);
+  await saveGroups(groups);
+  return site;
+}
+
 export async function removeSiteFromGroup(groupId, siteId) {
   const groups = await getGroups();
   const group = groups.find(g => g.id === groupId);
@@ -108,6 +514,40 @@ export async function removeSiteFromGroup(groupId, siteId) {
   await saveGroups(groups);
 }
 
+// ── Exception Management ────────────────────────────────────────────────
+// Exceptions are patterns that stay reachable even while the group blocks a
+// broader pattern (e.g. block youtube.com but allow music.youtube.com).
+
+export async function addExceptionToGroup(groupId, rawPattern) {
+  const pattern = normalizeSitePattern(rawPattern);
+  const validation = validateSitePattern(pattern);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return { success: false, error: 'Group not found.' };
+
+  if (!group.exceptions) group.exceptions = [];
+  if (group.exceptions.some(s => s.pattern === pattern)) {
+    return { success: false, error: 'Exception already exists in this group.' };
+  }
+
+  const exception = { id: crypto.randomUUID(), pattern };
+  group.exceptions.push(exception);
+  await saveGroups(groups);
+  return { success: true, exception };
+}
+
+export async function removeExceptionFromGroup(groupId, exceptionId) {
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+  group.exceptions = (group.exceptions || []).filter(s => s.id !== exceptionId);
+  await saveGroups(groups);
+}
+
 // ── Time Block Management ───────────────────────────────────────────────
 
 export async function addTimeBlock(groupId, blockConfig) {
@@ -122,7 +562,10 @@ export async function addTimeBlock(groupId, blockConfig) {
     endTime: blockConfig.allDay ? '23:59' : (blockConfig.endTime || '17:00'),
     allDay: blockConfig.allDay || false,
     allowedMinutes: blockConfig.allowedMinutes || 15,
+    visitLimit: sanitizeVisitLimit(blockConfig.visitLimit),
+    rollover: null,
   };
+  if (!block.visitLimit) block.rollover = sanitizeRollover(blockConfig.rollover);
 
   group.allowedTimeBlocks.push(block);
   await saveGroups(groups);
@@ -141,6 +584,13 @@ export async function updateTimeBlock(groupId, blockId, updates) {
     updates.startTime = '00:00';
     updates.endTime = '23:59';
   }
+  if (Object.prototype.hasOwnProperty.call(updates, 'visitLimit')) {
+    updates.visitLimit = sanitizeVisitLimit(updates.visitLimit);
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, 'rollover')) {
+    updates.rollover = sanitizeRollover(updates.rollover);
+  }
+  if (updates.visitLimit) updates.rollover = null;
 
   Object.assign(group.allowedTimeBlocks[idx], updates);
   await saveGroups(groups);
@@ -154,3 +604,244 @@ export async function removeTimeBlock(groupId, blockId) {
   group.allowedTimeBlocks = group.allowedTimeBlocks.filter(b => b.id !== blockId);
   await saveGroups(groups);
 }
+
+// ── Schedule Overrides ──────────────────────────────────────────────────
+// Dated exceptions to the weekly schedule (holidays, vacations, crunch days):
+//   { id, startDate, endDate, mode, label, timeBlocks }
+// For every date from startDate through endDate, mode 'windows' replaces the
+// weekly windows with timeBlocks (time blocks without `days`), 'unblock'
+// lifts the group for the whole day and 'block' blocks it all day. When
+// several overrides cover a date, the one added last wins.
+
+export const OVERRIDE_MODES = ['windows', 'unblock', 'block'];
+const DATE_STR_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_STR_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export function getOverrideForDate(group, dateStr) {
+  const overrides = group.overrides || [];
+  for (let i = overrides.length - 1; i >= 0; i--) {
+    if (overrides[i].startDate <= dateStr && dateStr <= overrides[i].endDate) return overrides[i];
+  }
+  return null;
+}
+
+function sanitizeOverrideWindow(window) {
+  const allDay = !!window.allDay;
+  return {
+    id: window.id || crypto.randomUUID(),
+    startTime: allDay ? '00:00' : window.startTime,
+    endTime: allDay ? '23:59' : window.endTime,
+    allDay,
+    allowedMinutes: Math.min(Math.max(Math.floor(Number(window.allowedMinutes)) || 15, 1), MAX_DAILY_MINUTES),
+  };
+}
+
+// Returns { valid, error?, override? } with the override's fields cleaned up.
+export function validateOverride(config) {
+  const { startDate, endDate = startDate, mode } = config;
+  if (!DATE_STR_PATTERN.test(startDate || '') || !DATE_STR_PATTERN.test(endDate || '')) {
+    return { valid: false, error: 'Pick a start and end date.' };
+  }
+  if (endDate < startDate) {
+    return { valid: false, error: 'The end date is before the start date.' };
+  }
+  if (!OVERRIDE_MODES.includes(mode)) {
+    return { valid: false, error: 'Choose what happens on these days.' };
+  }
+
+  let timeBlocks = [];
+  if (mode === 'windows') {
+    timeBlocks = (config.timeBlocks || []).map(sanitizeOverrideWindow);
+    if (timeBlocks.length === 0) {
+      return { valid: false, error: 'Add at least one time window.' };
+    }
+    for (const block of timeBlocks) {
+      if (!TIME_STR_PATTERN.test(block.startTime) || !TIME_STR_PATTERN.test(block.endTime)) {
+        return { valid: false, error: 'Every window needs a start and end time.' };
+      }
+      if (!block.allDay && block.startTime === block.endTime) {
+        return { valid: false, error: 'Start and end must differ.' };
+      }
+    }
+  }
+
+  return {
+    valid: true,
+    override: {
+      startDate,
+      endDate,
+      mode,
+      label: String(config.label || '').trim().slice(0, 80),
+      timeBlocks,
+    },
+  };
+}
+
+export async function addOverride(groupId, config) {
+  const validation = validateOverride(config);
+  if (!validation.valid) return { success: false, error: validation.error };
+
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return { success: false, error: 'Group not found.' };
+
+  const override = { id: crypto.randomUUID(), ...validation.override };
+  if (!group.overrides) group.overrides = [];
+  group.overrides.push(override);
+  await saveGroups(groups);
+  return { success: true, override };
+}
+
+export async function updateOverride(groupId, overrideId, config) {
+  const validation = validateOverride(config);
+  if (!validation.valid) return { success: false, error: validation.error };
+
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return { success: false, error: 'Group not found.' };
+
+  const override = (group.overrides || []).find(o => o.id === overrideId);
+  if (!override) return { success: false, error: 'Override not found.' };
+
+  Object.assign(override, validation.override);
+  await saveGroups(groups);
+  return { success: true, override };
+}
+
+export async function removeOverride(groupId, overrideId) {
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+  group.overrides = (group.overrides || []).filter(o => o.id !== overrideId);
+  await saveGroups(groups);
+}
+
+// ── Strict Periods ──────────────────────────────────────────────────────
+// Recurring times when a group can't be paused, e.g. weekdays 9:00–12:00:
+//   { id, days, startTime, endTime }
+// A period runs from startTime up to, not including, endTime, and past
+// midnight when endTime is earlier. It doesn't change what's blocked, only
+// whether a pause can be started.
+
+const STRICT_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Returns { valid, error?, period? } with the period's fields cleaned up.
+export function validateStrictPeriod(config) {
+  const days = STRICT_DAYS.filter(d => (config.days || []).includes(d));
+  if (days.length === 0) {
+    return { valid: false, error: 'Select at least one day.' };
+  }
+  if (!TIME_STR_PATTERN.test(config.startTime || '') || !TIME_STR_PATTERN.test(config.endTime || '')) {
+    return { valid: false, error: 'Pick a start and end time.' };
+  }
+  if (config.startTime === config.endTime) {
+    return { valid: false, error: 'Start and end must differ.' };
+  }
+  return { valid: true, period: { days, startTime: config.startTime, endTime: config.endTime } };
+}
+
+export async function addStrictPeriod(groupId, config) {
+  const validation = validateStrictPeriod(config);
+  if (!validation.valid) return { success: false, error: validation.error };
+
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return { success: false, error: 'Group not found.' };
+
+  const period = { id: crypto.randomUUID(), ...validation.period };
+  if (!group.strictPeriods) group.strictPeriods = [];
+  group.strictPeriods.push(period);
+  await saveGroups(groups);
+  return { success: true, period };
+}
+
+export async function updateStrictPeriod(groupId, periodId, config) {
+  const validation = validateStrictPeriod(config);
+  if (!validation.valid) return { success: false, error: validation.error };
+
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return { success: false, error: 'Group not found.' };
+
+  const period = (group.strictPeriods || []).find(p => p.id === periodId);
+  if (!period) return { success: false, error: 'Strict period not found.' };
+
+  Object.assign(period, validation.period);
+  await saveGroups(groups);
+  return { success: true, period };
+}
+
+export async function removeStrictPeriod(groupId, periodId) {
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+  group.strictPeriods = (group.strictPeriods || []).filter(p => p.id !== periodId);
+  await saveGroups(groups);
+}
+
+// ── Calendar Blocks ─────────────────────────────────────────────────────
+// Events imported from an .ics file become blocked periods on a group:
+//   { id, start, end, title, source }
+// start and end are timestamps, and source is the imported file's name. While
+// one is running the group blocks (an allowlist group enforces its list) no
+// matter its windows, budgets or overrides; only a pause lifts it.
+
+export const CALENDAR_IMPORT_DAYS = 180;
+const MAX_BLOCKED_PERIODS = 1000;
+
+// keywords: words matched against event titles (anywhere, any case) and
+// categories (exactly, any case). No keywords matches every event.
+export function filterCalendarEvents(events, keywords) {
+  const wanted = keywords.map(k => k.trim().toLowerCase()).filter(Boolean);
+  if (wanted.length === 0) return events;
+  return events.filter(event =>
+    wanted.some(keyword =>
+      event.title.toLowerCase().includes(keyword) ||
+      event.categories.some(category => category.toLowerCase() === keyword)
+    )
+  );
+}
+
+// Replaces each group's periods from `source` with `events`. Periods that have
+// already ended are dropped along the way.
+export async function importBlockedPeriods(groupIds, source, events, now = Date.now()) {
+  const groups = await getGroups();
+  const targets = groups.filter(g => groupIds.includes(g.id));
+  if (targets.length === 0) return { success: false, error: 'Choose at least one group.' };
+
+  const periods = events
+    .filter(event => event.end > now)
+    .slice(0, MAX_BLOCKED_PERIODS)
+    .map(event => ({ start: event.start, end: event.end, title: event.title, source }));
+
+  for (const group of targets) {
+    const kept = (group.blockedPeriods || []).filter(p => p.source !== source && p.end > now);
+    group.blockedPeriods = [...kept, ...periods.map(p => ({ id: crypto.randomUUID(), ...p }))]
+      .sort((a, b) => a.start - b.start);
+  }
+  await saveGroups(groups);
+  return { success: true, count: periods.length };
+}
+
+// Drops periods that have ended. Returns whether anything changed.
+export async function pruneBlockedPeriods(now = Date.now()) {
+  const groups = await getGroups();
+  let changed = false;
+  for (const group of groups) {
+    const kept = (group.blockedPeriods || []).filter(p => p.end > now);
+    if (kept.length !== (group.blockedPeriods || []).length) {
+      group.blockedPeriods = kept;
+      changed = true;
+    }
+  }
+  if (changed) await saveGroups(groups);
+  return changed;
+}
+
+export async function removeBlockedPeriodSource(groupId, source) {
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+  group.blockedPeriods = (group.blockedPeriods || []).filter(p => p.source !== source);
+  await saveGroups(groups);
+}
@@ -0,0 +1,362 @@
+// shared/ical.js — Minimal iCalendar (.ics) reader for importing focus events
+//
+// Understands VEVENTs with DTSTART/DTEND or DURATION, TZID and UTC times,
+// all-day dates, RRULE (DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT,
+// UNTIL, BYDAY, BYMONTHDAY, BYMONTH), RDATE, EXDATE, moved or cancelled
+// instances (RECURRENCE-ID) and STATUS:CANCELLED. Anything else is ignored.
+
+const MAX_RECURRENCE_STEPS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// ── Lines and Properties ────────────────────────────────────────────────
+
+// Long lines are folded onto continuation lines that start with a space or tab.
+function unfoldLines(text) {
+  return text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq !== -1) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+// Splits on commas that aren't escaped.
+function splitList(value) {
+  return value.split(/(?<!\\),/).map(item => unescapeText(item).trim()).filter(Boolean);
+}
+
+// ── Dates and Time Zones ────────────────────────────────────────────────
+// A date value is kept as wall-clock fields plus how to read them: `utc`
+// (trailing Z), a TZID, or floating (the browser's own time zone). All-day
+// values are floating dates.
+
+function parseDateValue(value, params) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value.trim());
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s, z] = match;
+  return {
+    fields: { year: +y, month: +mo, day: +d, hour: +(h || 0), minute: +(mi || 0), second: +(s || 0) },
+    dateOnly: h === undefined || params.VALUE === 'DATE',
+    utc: z === 'Z',
+    tzid: z === 'Z' ? null : params.TZID || null,
+  };
+}
+
+function timeZoneOffsetMs(timestamp, tzid) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: tzid, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  });
+  for (const { type, value } of formatter.formatToParts(new Date(timestamp))) parts[type] = +value;
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Unknown TZIDs (e.g. Windows zone names) fall back to the local time zone.
+function toTimestamp(fields, { utc, tzid }) {
+  const { year, month, day, hour, minute, second } = fields;
+  if (utc) return Date.UTC(year, month - 1, day, hour, minute, second);
+  if (tzid) {
+    try {
+      const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+      const first = wallClock - timeZoneOffsetMs(wallClock, tzid);
+      return wallClock - timeZoneOffsetMs(first, tzid);
+    } catch {
+      // fall through to local time
+    }
+  }
+  return new Date(year, month - 1, day, hour, minute, second).getTime();
+}
+
+// Calendar arithmetic on wall-clock fields, done in UTC so DST never shifts it.
+function fieldsToCivil(fields) {
+  return new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second));
+}
+
+function civilToFields(civil) {
+  return {
+    year: civil.getUTCFullYear(),
+    month: civil.getUTCMonth() + 1,
+    day: civil.getUTCDate(),
+    hour: civil.getUTCHours(),
+    minute: civil.getUTCMinutes(),
+    second: civil.getUTCSeconds(),
+  };
+}
+
+function civilDate(year, monthIndex, day, timeOf) {
+  return new Date(Date.UTC(year, monthIndex, day,
+    timeOf.getUTCHours(), timeOf.getUTCMinutes(), timeOf.getUTCSeconds()));
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, w, d, h, m, s] = match;
+  const days = (+(w || 0)) * 7 + (+(d || 0));
+  const ms = ((+(h || 0)) * 3600 + (+(m || 0)) * 60 + (+(s || 0))) * 1000;
+  return sign === '-' ? null : { days, ms };
+}
+
+// ── Events ──────────────────────────────────────────────────────────────
+
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    if (key && val !== undefined) rule[key.toUpperCase()] = val.toUpperCase();
+  }
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) return null;
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(1, parseInt(rule.INTERVAL, 10) || 1),
+    count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+    until: rule.UNTIL ? parseDateValue(rule.UNTIL, {}) : null,
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',').map(token => {
+          const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token);
+          return m ? { ordinal: m[1] ? parseInt(m[1], 10) : 0, weekday: ICS_WEEKDAYS.indexOf(m[2]) } : null;
+        }).filter(Boolean)
+      : null,
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number).filter(Number.isInteger) : null,
+    byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number).filter(n => n >= 1 && n <= 12) : null,
+    weekStart: ICS_WEEKDAYS.indexOf(rule.WKST || 'MO'),
+  };
+}
+
+function readEvent(props) {
+  const event = { exdates: [], rdates: [], categories: [] };
+  for (const { name, params, value } of props) {
+    switch (name) {
+      case 'UID': event.uid = value.trim(); break;
+      case 'SUMMARY': event.title = unescapeText(value).trim(); break;
+      case 'CATEGORIES': event.categories.push(...splitList(value)); break;
+      case 'STATUS': event.cancelled = value.trim().toUpperCase() === 'CANCELLED'; break;
+      case 'DTSTART': event.start = parseDateValue(value, params); break;
+      case 'DTEND': event.end = parseDateValue(value, params); break;
+      case 'DURATION': event.duration = parseDuration(value); break;
+      case 'RRULE': event.rule = parseRule(value); break;
+      case 'RECURRENCE-ID': event.recurrenceId = parseDateValue(value, params); break;
+      case 'EXDATE':
+        for (const item of value.split(',')) {
+          const date = parseDateValue(item, params);
+          if (date) event.exdates.push(date);
+        }
+        break;
+      case 'RDATE':
+        if (params.VALUE === 'PERIOD') break;
+        for (const item of value.split(',')) {
+          const date = parseDateValue(item, params);
+          if (date) event.rdates.push(date);
+        }
+        break;
+    }
+  }
+  if (!event.start) return null;
+  event.title = event.title || '';
+  return event;
+}
+
+// Returns the raw VEVENTs of a calendar, ignoring nested components (alarms).
+export function parseCalendar(text) {
+  const events = [];
+  let props = null;
+  let nested = 0;
+  for (const line of unfoldLines(text)) {
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+    if (prop.name === 'BEGIN') {
+      if (prop.value.toUpperCase() === 'VEVENT' && !props) props = [];
+      else if (props) nested++;
+    } else if (prop.name === 'END') {
+      if (props && nested > 0) nested--;
+      else if (props && prop.value.toUpperCase() === 'VEVENT') {
+        const event = readEvent(props);
+        if (event) events.push(event);
+        props = null;
+      }
+    } else if (props && nested === 0) {
+      props.push(prop);
+    }
+  }
+  return events;
+}
+
+// Length of one occurrence: whole days for all-day events, otherwise a span.
+function eventLength(event) {
+  if (event.duration) return event.duration;
+  if (event.end) {
+    if (event.start.dateOnly) {
+      const days = Math.round((fieldsToCivil(event.end.fields) - fieldsToCivil(event.start.fields)) / DAY_MS);
+      return { days: Math.max(days, 1), ms: 0 };
+    }
+    return { days: 0, ms: Math.max(0, toTimestamp(event.end.fields, event.end) - toTimestamp(event.start.fields, event.start)) };
+  }
+  return event.start.dateOnly ? { days: 1, ms: 0 } : { days: 0, ms: 0 };
+}
+
+function occurrence(event, civilStart, length) {
+  const startFields = civilToFields(civilStart);
+  const start = toTimestamp(startFields, event.start);
+  const endCivil = new Date(civilStart.getTime() + length.days * DAY_MS);
+  const end = toTimestamp(civilToFields(endCivil), event.start) + length.ms;
+  return { start, end };
+}
+
+// Candidate starts for one period of the rule (a day, week, month or year),
+// in order, before COUNT/UNTIL are applied.
+function periodStarts(rule, dtstart, periodIndex) {
+  const step = periodIndex * rule.interval;
+  if (rule.freq === 'DAILY') {
+    const day = new Date(dtstart.getTime() + step * DAY_MS);
+    const weekdayOk = !rule.byDay || rule.byDay.some(b => b.weekday === day.getUTCDay());
+    const monthOk = !rule.byMonth || rule.byMonth.includes(day.getUTCMonth() + 1);
+    return weekdayOk && monthOk ? [day] : [];
+  }
+  if (rule.freq === 'WEEKLY') {
+    const offset = (dtstart.getUTCDay() - rule.weekStart + 7) % 7;
+    const weekStart = new Date(dtstart.getTime() + (step * 7 - offset) * DAY_MS);
+    const weekdays = rule.byDay ? rule.byDay.map(b => b.weekday) : [dtstart.getUTCDay()];
+    return [...new Set(weekdays)]
+      .map(weekday => new Date(weekStart.getTime() + ((weekday - rule.weekStart + 7) % 7) * DAY_MS))
+      .sort((a, b) => a - b);
+  }
+  if (rule.freq === 'MONTHLY') {
+    const monthIndex = dtstart.getUTCMonth() + step;
+    const year = dtstart.getUTCFullYear() + Math.floor(monthIndex / 12);
+    return monthStarts(rule, dtstart, year, ((monthIndex % 12) + 12) % 12);
+  }
+  const year = dtstart.getUTCFullYear() + step;
+  const months = rule.byMonth ? rule.byMonth.map(m => m - 1) : [dtstart.getUTCMonth()];
+  return months.sort((a, b) => a - b).flatMap(month => monthStarts(rule, dtstart, year, month));
+}
+
+function monthStarts(rule, dtstart, year, month) {
+  const length = daysInMonth(year, month);
+  let days;
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay.map(d => (d < 0 ? length + d + 1 : d));
+  } else if (rule.byDay) {
+    days = [];
+    for (const { ordinal, weekday } of rule.byDay) {
+      const matching = [];
+      for (let d = 1; d <= length; d++) {
+        if (new Date(Date.UTC(year, month, d)).getUTCDay() === weekday) matching.push(d);
+      }
+      if (ordinal === 0) days.push(...matching);
+      else days.push(ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal]);
+    }
+  } else {
+    days = [dtstart.getUTCDate()];
+  }
+  return [...new Set(days)]
+    .filter(d => d >= 1 && d <= length)
+    .sort((a, b) => a - b)
+    .map(d => civilDate(year, month, d, dtstart));
+}
+
+function sameDay(a, b) {
+  return a.year === b.year && a.month === b.month && a.day === b.day;
+}
+
+// A period index safely before `from`, so long-running series without COUNT
+// don't have to be walked from their first occurrence.
+function firstUsefulPeriod(rule, dtstart, from) {
+  if (rule.count !== null) return 0;
+  const fromDate = new Date(from);
+  const days = (Date.UTC(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate()) - dtstart.getTime()) / DAY_MS;
+  const months = (fromDate.getFullYear() - dtstart.getUTCFullYear()) * 12 + fromDate.getMonth() - dtstart.getUTCMonth();
+  const elapsed = {
+    DAILY: days,
+    WEEKLY: days / 7,
+    MONTHLY: months,
+    YEARLY: months / 12,
+  }[rule.freq];
+  return Math.max(0, Math.floor(elapsed / rule.interval) - 2);
+}
+
+function expandEvent(event, from, to) {
+  const length = eventLength(event);
+  const dtstart = fieldsToCivil(event.start.fields);
+  const excluded = event.exdates.map(date => ({ date, ts: toTimestamp(date.fields, date) }));
+  const isExcluded = (civilStart) => {
+    const fields = civilToFields(civilStart);
+    const ts = toTimestamp(fields, event.start);
+    return excluded.some(ex => ex.ts === ts || (ex.date.dateOnly && sameDay(ex.date.fields, fields)));
+  };
+
+  const starts = [];
+  if (!event.rule) {
+    starts.push(dtstart);
+  } else {
+    const untilTs = event.rule.until ? toTimestamp(event.rule.until.fields, event.rule.until) : Infinity;
+    let emitted = 0;
+    const firstPeriod = firstUsefulPeriod(event.rule, dtstart, from);
+    for (let period = firstPeriod; period < firstPeriod + MAX_RECURRENCE_STEPS; period++) {
+      const candidates = periodStarts(event.rule, dtstart, period).filter(c => c >= dtstart);
+      let done = false;
+      for (const candidate of candidates) {
+        const ts = toTimestamp(civilToFields(candidate), event.start);
+        if (ts > untilTs || (event.rule.count !== null && emitted >= event.rule.count)) { done = true; break; }
+        emitted++;
+        if (ts >= to) { done = true; break; }
+        starts.push(candidate);
+      }
+      if (done) break;
+    }
+  }
+  starts.push(...event.rdates.map(date => fieldsToCivil(date.fields)));
+
+  return starts
+    .filter(civilStart => !isExcluded(civilStart))
+    .map(civilStart => occurrence(event, civilStart, length))
+    .filter(({ start, end }) => end > from && start < to && end > start);
+}
+
+// Concrete occurrences overlapping [from, to):
+//   [{ uid, title, categories, start, end }] with start/end in ms, sorted by start.
+export function expandCalendar(text, from, to) {
+  const events = parseCalendar(text);
+  // Instances moved or cancelled by a RECURRENCE-ID event are dropped from the series.
+  const movedInstances = new Map();
+  for (const event of events) {
+    if (!event.recurrenceId || !event.uid) continue;
+    if (!movedInstances.has(event.uid)) movedInstances.set(event.uid, []);
+    movedInstances.get(event.uid).push(event.recurrenceId);
+  }
+
+  const occurrences = [];
+  for (const event of events) {
+    if (event.cancelled) continue;
+    if (!event.recurrenceId && movedInstances.has(event.uid)) {
+      event.exdates.push(...movedInstances.get(event.uid));
+    }
+    for (const { start, end } of expandEvent(event, from, to)) {
+      occurrences.push({ uid: event.uid || '', title: event.title, categories: event.categories, start, end });
+    }
+  }
+  return occurrences.sort((a, b) => a.start - b.start);
+}
@@ -1,13 +1,48 @@
 // shared/storage.js — Thin async abstraction over chrome.storage.local
 
 export function todayDateStr() {
-  const d = new Date();
+  return formatDateStr(new Date());
+}
+
+export function formatDateStr(d) {
   const yyyy = d.getFullYear();
   const mm = String(d.getMonth() + 1).padStart(2, '0');
   const dd = String(d.getDate()).padStart(2, '0');
   return `${yyyy}-${mm}-${dd}`;
 }
 
+export function parseDateStr(dateStr) {
+  const [yyyy, mm, dd] = dateStr.split('-').map(Number);
+  return new Date(yyyy, mm - 1, dd);
+}
+
+const WEEKDAY_INDEX = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+// Dates from the start of dateStr's week through dateStr itself.
+export function getWeekDateStrs(dateStr, weekStart = 'mon') {
+  const date = parseDateStr(dateStr);
+  const daysSinceStart = (date.getDay() - (WEEKDAY_INDEX[weekStart] ?? 1) + 7) % 7;
+  const dates = [];
+  for (let offset = daysSinceStart; offset >= 0; offset--) {
+    const d = new Date(date);
+    d.setDate(d.getDate() - offset);
+    dates.push(formatDateStr(d));
+  }
+  return dates;
+}
+
+// Daily entries are kept this many days before they're rolled into weekly
+// and monthly history.
+export const DEFAULT_RETENTION_DAYS = 90;
+// Two weeks covers every weekly budget and rollover catch-up.
+export const MIN_RETENTION_DAYS = 14;
+
+export function sanitizeRetentionDays(value) {
+  const parsed = Math.floor(Number(value));
+  if (!Number.isFinite(parsed)) return DEFAULT_RETENTION_DAYS;
+  return Math.max(MIN_RETENTION_DAYS, parsed);
+}
+
 export const DEFAULT_DAILY_PAUSE_LIMIT = 3;
 
 export function sanitizeDailyPauseLimit(value) {
@@ -16,6 +51,16 @@ export function sanitizeDailyPauseLimit(value) {
   return Math.max(0, Math.floor(parsed));
 }
 
+// Higher-priority groups decide overlapping URLs; 0 leaves it to the most
+// restrictive group.
+export const MAX_GROUP_PRIORITY = 3;
+
+export function sanitizeGroupPriority(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return 0;
+  return Math.min(MAX_GROUP_PRIORITY, Math.max(0, Math.floor(parsed)));
+}
+
 // ── Groups ──────────────────────────────────────────────────────────────
 
 export async function getGroups() {
@@ -34,7 +79,9 @@ export async function getGroupById(id) {
 
 // ── Time-Tracking ───────────────────────────────────────────────────────
 // Keys: tracking::{groupId}::{YYYY-MM-DD}::{blockId}
-// Value: { usedSeconds: number }
+// Value: { usedSeconds: number, visits?, lastSeenAt?, sites? }
+// visits and lastSeenAt belong to visit-limited windows; sites maps the ID of
+// each site with its own cap to the seconds spent on it in this window.
 
 function trackingKey(groupId, dateStr, blockId) {
   return `tracking::${groupId}::${dateStr}::${blockId}`;
@@ -51,6 +98,19 @@ export async function setTrackingEntry(groupId, dateStr, blockId, entry) {
   await chrome.storage.local.set({ [key]: entry });
 }
 
+// Everything the group used on those days, under any block ID — including
+// time blocks deleted or replaced since, so editing the schedule mid-week
+// doesn't hand back the minutes already spent.
+export async function sumTrackedSeconds(groupId, dateStrs) {
+  const all = await chrome.storage.local.get(null);
+  const prefixes = dateStrs.map(dateStr => `tracking::${groupId}::${dateStr}::`);
+  let sum = 0;
+  for (const [key, entry] of Object.entries(all)) {
+    if (prefixes.some(prefix => key.startsWith(prefix))) sum += entry.usedSeconds || 0;
+  }
+  return sum;
+}
+
 export async function getAllTrackingForDate(dateStr) {
   const all = await chrome.storage.local.get(null);
   const prefix = `tracking::`;
@@ -64,6 +124,84 @@ export async function getAllTrackingForDate(dateStr) {
   return entries;
 }
 
+// ── Budget Pools ────────────────────────────────────────────────────────
+// Key: pools → [{ id, name, minutesPerDay }] (see shared/group-manager.js)
+// Keys: pool-usage::{poolId}::{YYYY-MM-DD}
+// Value: { usedSeconds: number }
+
+export async function getPools() {
+  const { pools } = await chrome.storage.local.get({ pools: [] });
+  return pools;
+}
+
+export async function savePools(pools) {
+  await chrome.storage.local.set({ pools });
+}
+
+function poolUsageKey(poolId, dateStr) {
+  return `pool-usage::${poolId}::${dateStr}`;
+}
+
+export async function getPoolUsage(poolId, dateStr) {
+  const key = poolUsageKey(poolId, dateStr);
+  const result = await chrome.storage.local.get({ [key]: { usedSeconds: 0 } });
+  return result[key];
+}
+
+export async function setPoolUsage(poolId, dateStr, entry) {
+  const key = poolUsageKey(poolId, dateStr);
+  await chrome.storage.local.set({ [key]: entry });
+}
+
+// ── Continuous Sessions ─────────────────────────────────────────────────
+// Keys: cooldown::{groupId}
+// Value: { sessionSeconds: number, lastSeenAt: timestamp }
+
+function cooldownKey(groupId) {
+  return `cooldown::${groupId}`;
+}
+
+export async function getCooldownState(groupId) {
+  const key = cooldownKey(groupId);
+  const result = await chrome.storage.local.get({ [key]: { sessionSeconds: 0, lastSeenAt: 0 } });
+  return result[key];
+}
+
+export async function setCooldownState(groupId, state) {
+  const key = cooldownKey(groupId);
+  await chrome.storage.local.set({ [key]: state });
+}
+
+// ── Rollover Ledger ─────────────────────────────────────────────────────
+// Keys: rollover::{groupId}::{YYYY-MM-DD}::{blockId}
+// Value: { minutes: number, fromDate: 'YYYY-MM-DD' } — minutes carried into
+// that day's occurrence of the window from an earlier one.
+// Key: rollover-settled-through — the last day whose windows were settled.
+
+function rolloverKey(groupId, dateStr, blockId) {
+  return `rollover::${groupId}::${dateStr}::${blockId}`;
+}
+
+export async function getRolloverEntry(groupId, dateStr, blockId) {
+  const key = rolloverKey(groupId, dateStr, blockId);
+  const result = await chrome.storage.local.get({ [key]: { minutes: 0 } });
+  return result[key];
+}
+
+export async function setRolloverEntry(groupId, dateStr, blockId, entry) {
+  const key = rolloverKey(groupId, dateStr, blockId);
+  await chrome.storage.local.set({ [key]: entry });
+}
+
+export async function getRolloverSettledThrough() {
+  const { 'rollover-settled-through': dateStr } = await chrome.storage.local.get({ 'rollover-settled-through': null });
+  return dateStr;
+}
+
+export async function setRolloverSettledThrough(dateStr) {
+  await chrome.storage.local.set({ 'rollover-settled-through': dateStr });
+}
+
 // ── Pause ───────────────────────────────────────────────────────────────
 // Keys: pause::{groupId}
 // Value: { pausedUntil: timestamp }
@@ -123,11 +261,187 @@ export async function incrementPauseCount(groupId, dateStr) {
   return { count: nextCount };
 }
 
+// ── Usage History ───────────────────────────────────────────────────────
+// Keys: usage-history::{groupId}::{YYYY-MM}
+// Value: { usedSeconds: number, pauses: number } — a group's tracked seconds
+// and pauses in that month, rolled up from daily entries older than
+// settings.retentionDays (see background/usage-retention.js)
+// Keys: pool-history::{poolId}::{YYYY-MM}
+// Value: { usedSeconds: number } — the same for a pool's daily usage
+// Keys: usage-weekly::{groupId}::{YYYY-MM-DD}, pool-weekly::{poolId}::{YYYY-MM-DD}
+// The same per week, keyed by the week's Monday
+// Key: usage-compacted-through — the last day whose daily entries were added
+// to the history. It's saved in the same write as the history, so a day is
+// never added twice, even if removing its daily entries didn't finish.
+
+const OWNED_KEY_KINDS = [
+  'tracking', 'pool-usage', 'rollover', 'pause', 'pause-count', 'cooldown',
+  'usage-history', 'pool-history', 'usage-weekly', 'pool-weekly',
+];
+
+// Every entry kept per group or pool, parsed from its key:
+// { key, kind, ownerId, dateStr, blockId, value }. dateStr is the day, the
+// month or week start for history, and null for undated kinds; blockId is null but for
+// tracking and rollover entries.
+export async function getOwnedEntries() {
+  const all = await chrome.storage.local.get(null);
+  const entries = [];
+  for (const [key, value] of Object.entries(all)) {
+    const [kind, ownerId, dateStr = null, blockId = null] = key.split('::');
+    if (!OWNED_KEY_KINDS.includes(kind) || !ownerId) continue;
+    entries.push({ key, kind, ownerId, dateStr, blockId, value });
+  }
+  return entries;
+}
+
+function usageHistoryKey(groupId, monthStr) {
+  return `usage-history::${groupId}::${monthStr}`;
+}
+
+function poolHistoryKey(poolId, monthStr) {
+  return `pool-history::${poolId}::${monthStr}`;
+}
+
+function weeklyUsageHistoryKey(groupId, weekStr) {
+  return `usage-weekly::${groupId}::${weekStr}`;
+}
+
+function weeklyPoolHistoryKey(poolId, weekStr) {
+  return `pool-weekly::${poolId}::${weekStr}`;
+}
+
+export async function getUsageHistory(groupId, monthStr) {
+  const key = usageHistoryKey(groupId, monthStr);
+  const result = await chrome.storage.local.get({ [key]: { usedSeconds: 0, pauses: 0 } });
+  return result[key];
+}
+
+export async function getPoolHistory(poolId, monthStr) {
+  const key = poolHistoryKey(poolId, monthStr);
+  const result = await chrome.storage.local.get({ [key]: { usedSeconds: 0 } });
+  return result[key];
+}
+
+export async function getWeeklyUsageHistory(groupId, weekStr) {
+  const key = weeklyUsageHistoryKey(groupId, weekStr);
+  const result = await chrome.storage.local.get({ [key]: { usedSeconds: 0, pauses: 0 } });
+  return result[key];
+}
+
+export async function getWeeklyPoolHistory(poolId, weekStr) {
+  const key = weeklyPoolHistoryKey(poolId, weekStr);
+  const result = await chrome.storage.local.get({ [key]: { usedSeconds: 0 } });
+  return result[key];
+}
+
+export async function getUsageCompactedThrough() {
+  const { 'usage-compacted-through': dateStr } = await chrome.storage.local.get({ 'usage-compacted-through': null });
+  return dateStr;
+}
+
+// Each of groupMonths, groupWeeks, poolMonths and poolWeeks is a list of
+// { ownerId, period, entry }, period being the month or the week's Monday.
+export async function saveUsageHistory({ groupMonths, groupWeeks, poolMonths, poolWeeks }, compactedThrough) {
+  const items = { 'usage-compacted-through': compactedThrough };
+  const add = (list, keyFor) => {
+    for (const { ownerId, period, entry } of list) items[keyFor(ownerId, period)] = entry;
+  };
+  add(groupMonths, usageHistoryKey);
+  add(groupWeeks, weeklyUsageHistoryKey);
+  add(poolMonths, poolHistoryKey);
+  add(poolWeeks, weeklyPoolHistoryKey);
+  await chrome.storage.local.set(items);
+}
+
+export async function removeEntries(keys) {
+  if (keys.length > 0) await chrome.storage.local.remove(keys);
+}
+
+export async function getStorageBytesInUse() {
+  return chrome.storage.local.getBytesInUse(null);
+}
+
+// ── Picture-in-Picture Tabs ─────────────────────────────────────────────
+// Key: pip-frames (session storage, so it's gone with the browser session)
+// Value: { [tabId]: [frameId] } — the frames showing a picture-in-picture
+// window, as reported by content/media-watch.js. Each frame reports for
+// itself, so one leaving picture-in-picture doesn't clear another.
+
+async function getPipFrames() {
+  const { 'pip-frames': frames } = await chrome.storage.session.get({ 'pip-frames': {} });
+  return frames;
+}
+
+export async function getPipTabIds() {
+  return Object.keys(await getPipFrames()).map(Number);
+}
+
+export async function setPipFrame(tabId, frameId, active) {
+  const frames = await getPipFrames();
+  const frameIds = (frames[tabId] || []).filter(id => id !== frameId);
+  if (active) frameIds.push(frameId);
+  if (frameIds.length > 0) {
+    frames[tabId] = frameIds;
+  } else {
+    delete frames[tabId];
+  }
+  await chrome.storage.session.set({ 'pip-frames': frames });
+}
+
+export async function clearPipTab(tabId) {
+  const frames = await getPipFrames();
+  if (!(tabId in frames)) return;
+  delete frames[tabId];
+  await chrome.storage.session.set({ 'pip-frames': frames });
+}
+
+export async function clearPipTabs() {
+  await chrome.storage.session.remove('pip-frames');
+}
+
+// ── Tracking Session ────────────────────────────────────────────────────
+// Key: tracking-session (session storage)
+// Value: the time tracker's running session, minus its timer, or absent (see
+// background/time-tracker.js). A restarted service worker picks it up from here.
+
+export async function getTrackingSession() {
+  const { 'tracking-session': session } = await chrome.storage.session.get({ 'tracking-session': null });
+  return session;
+}
+
+export async function setTrackingSession(session) {
+  await chrome.storage.session.set({ 'tracking-session': session });
+}
+
+export async function clearTrackingSession() {
+  await chrome.storage.session.remove('tracking-session');
+}
+
+// ── Focus Session ───────────────────────────────────────────────────────
+// Key: focus-session
+// Value: { groupIds, startedAt, phase, phaseEndsAt, cycle, pomodoro } or absent
+// (see background/focus-session.js)
+
+export async function getFocusSession() {
+  const { 'focus-session': session } = await chrome.storage.local.get({ 'focus-session': null });
+  return session;
+}
+
+export async function setFocusSession(session) {
+  await chrome.storage.local.set({ 'focus-session': session });
+}
+
+export async function clearFocusSession() {
+  await chrome.storage.local.remove('focus-session');
+}
+
 // ── Settings ────────────────────────────────────────────────────────────
 
 const DEFAULT_SETTINGS = {
   showBadge: true,
   firstRun: true,
+  trackAllWindows: false,
+  retentionDays: DEFAULT_RETENTION_DAYS,
 };
 
 export async function getSettings() {
@@ -139,6 +453,19 @@ export async function saveSettings(settings) {
   await chrome.storage.local.set({ settings });
 }
 
+// ── Rule Status ─────────────────────────────────────────────────────────
+// Key: rule-status
+// Value: { updatedAt, counts: { regex, unsafe, total }, limits, warnings: [{ groupId, message }] }
+
+export async function getRuleStatus() {
+  const { 'rule-status': status } = await chrome.storage.local.get({ 'rule-status': null });
+  return status;
+}
+
+export async function setRuleStatus(status) {
+  await chrome.storage.local.set({ 'rule-status': status });
+}
+
 // ── Change Listener ─────────────────────────────────────────────────────
 
 export function onStorageChanged(callback) {